@@ -1,31 +1,455 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, query, onSnapshot, updateDoc, addDoc } from 'firebase/firestore';
+import { getFirestore, doc, collection, query, where, onSnapshot, updateDoc, addDoc, setDoc, deleteDoc, arrayUnion, runTransaction } from 'firebase/firestore';
 import { setLogLevel } from 'firebase/firestore';
+import {
+  getDoneListId, PRIORITIES, getPriorityRank, formatLocalDate, parseLocalDate, startOfDay, addDays, hashString, getBlockerIds, getOpenBlockers,
+  REC_TYPE_LABELS, getFeedbackStats, isTriggerSuppressed, applyRecommendationFeedback, getRecommenderSettings, createRecommendationEngine
+} from './recommendationEngine';
 
 setLogLevel('Debug');
 
-const useFirebaseSetup = () => {
-  const [db, setDb] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [appId, setAppId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+// Every storage adapter takes plain values and [field, '==' | 'array-contains', value] filters.
+// claim() resolves to whether this client won; onData's second argument says if results are cached.
+const createFirestoreStorage = (db, appId) => {
+  const collectionRef = name => collection(db, 'artifacts', appId, 'public/data', name);
+  const docRef = (name, id) => doc(db, 'artifacts', appId, 'public/data', name, id);
+  return {
+    subscribe: (name, filters, onData, onError) => onSnapshot(
+      query(collectionRef(name), ...filters.map(([field, op, value]) => where(field, op, value))),
+      { includeMetadataChanges: true },
+      snapshot => onData(snapshot.docs.map(d => ({ id: d.id, ...d.data() })), { fromCache: snapshot.metadata.fromCache }),
+      onError
+    ),
+    add: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+    set: (name, id, data) => setDoc(docRef(name, id), data, { merge: true }),
+    update: (name, id, updates) => updateDoc(docRef(name, id), updates),
+    remove: (name, id) => deleteDoc(docRef(name, id)),
+    appendUnique: (name, id, field, value, merge) => merge
+      ? setDoc(docRef(name, id), { ...merge, [field]: arrayUnion(value) }, { merge: true })
+      : updateDoc(docRef(name, id), { [field]: arrayUnion(value) }),
+    updateVersioned: (name, id, updates, expectedVersion, expectedFields) => runTransaction(db, async transaction => {
+      const snapshot = await transaction.get(docRef(name, id));
+      if (!snapshot.exists()) throw new Error(`No ${name} document with id ${id}`);
+      const version = checkVersion(snapshot.data(), expectedVersion, expectedFields);
+      transaction.update(docRef(name, id), { ...updates, version: version + 1 });
+      return version + 1;
+    }),
+    claim: (name, id, field, key, value) => runTransaction(db, async transaction => {
+      const snapshot = await transaction.get(docRef(name, id));
+      if (!snapshot.exists() || snapshot.data()[field]?.[key] === value) return false;
+      transaction.set(docRef(name, id), { [field]: { [key]: value } }, { merge: true });
+      return true;
+    })
+  };
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeDeep = (target, source) => Object.entries(source).reduce((merged, [key, value]) => ({
+  ...merged, [key]: isPlainObject(value) && isPlainObject(merged[key]) ? mergeDeep(merged[key], value) : value
+}), { ...target });
+
+const checkVersion = (item, expectedVersion, expectedFields = {}) => {
+  const version = item.version || 0;
+  if (expectedVersion !== undefined && version !== expectedVersion) {
+    throw Object.assign(new Error(`Expected version ${expectedVersion} but found ${version}`), { code: 'version-conflict' });
+  }
+  const changed = Object.keys(expectedFields).filter(field => !isSameValue(item[field] ?? null, expectedFields[field]));
+  if (changed.length > 0) throw Object.assign(new Error(`${changed.join(', ')} changed since the update was made`), { code: 'version-conflict' });
+  return version;
+};
+
+// Resolves with the first server-confirmed result of a query.
+const readOnce = (storage, name, filters) => new Promise((resolve, reject) => {
+  let result = null;
+  const unsubscribe = storage.subscribe(name, filters, (items, { fromCache = false } = {}) => {
+    if (result || fromCache) return;
+    result = items;
+    resolve(items);
+    unsubscribe?.();
+  }, reject);
+  if (result) unsubscribe();
+});
+
+const matchesQuery = (item, filters) => filters.every(([field, op, value]) => op === 'array-contains' ? (item[field] || []).includes(value) : item[field] === value);
+
+export const createLocalStorage = (namespace, persist = typeof localStorage !== 'undefined') => {
+  const storageKey = `smart-kanban:${namespace}`;
+  const listeners = new Set();
+  let data = {};
+  // Other tabs write the same key; their changes arrive as storage events.
+  const handleStorage = e => {
+    if (e.key !== storageKey) return;
+    try {
+      data = JSON.parse(e.newValue || '{}') || {};
+    } catch (err) {
+      console.error('Error reading local data:', err);
+      return;
+    }
+    listeners.forEach(listener => listener());
+  };
+  if (persist) {
+    try { data = JSON.parse(localStorage.getItem(storageKey)) || {}; } catch (e) { console.error('Error reading local data:', e); }
+    window.addEventListener('storage', handleStorage);
+  }
+  const read = (name, filters) => Object.entries(data[name] || {}).map(([id, item]) => ({ id, ...item })).filter(item => matchesQuery(item, filters));
+  const commit = name => {
+    if (persist) {
+      try { localStorage.setItem(storageKey, JSON.stringify(data)); } catch (e) { console.error('Error saving local data:', e); }
+    }
+    listeners.forEach(listener => listener(name));
+  };
+  return {
+    subscribe: (name, filters, onData) => {
+      const listener = changed => { if (!changed || changed === name) onData(read(name, filters)); };
+      listeners.add(listener);
+      listener();
+      return () => listeners.delete(listener);
+    },
+    add: async (name, item) => {
+      const id = generateId(name);
+      data = { ...data, [name]: { ...data[name], [id]: item } };
+      commit(name);
+      return id;
+    },
+    set: async (name, id, item) => {
+      data = { ...data, [name]: { ...data[name], [id]: mergeDeep(data[name]?.[id] || {}, item) } };
+      commit(name);
+    },
+    update: async (name, id, updates) => {
+      if (!data[name]?.[id]) throw new Error(`No ${name} document with id ${id}`);
+      data = { ...data, [name]: { ...data[name], [id]: { ...data[name][id], ...updates } } };
+      commit(name);
+    },
+    remove: async (name, id) => {
+      const { [id]: removed, ...rest } = data[name] || {};
+      data = { ...data, [name]: rest };
+      commit(name);
+    },
+    appendUnique: async (name, id, field, value, merge = {}) => {
+      const current = data[name]?.[id];
+      if (!current) throw new Error(`No ${name} document with id ${id}`);
+      const values = current[field] || [];
+      data = { ...data, [name]: { ...data[name], [id]: { ...mergeDeep(current, merge), [field]: values.includes(value) ? values : [...values, value] } } };
+      commit(name);
+    },
+    updateVersioned: async (name, id, updates, expectedVersion, expectedFields) => {
+      const current = data[name]?.[id];
+      if (!current) throw new Error(`No ${name} document with id ${id}`);
+      const version = checkVersion(current, expectedVersion, expectedFields) + 1;
+      data = { ...data, [name]: { ...data[name], [id]: { ...current, ...updates, version } } };
+      commit(name);
+      return version;
+    },
+    claim: async (name, id, field, key, value) => {
+      const current = data[name]?.[id];
+      if (!current || current[field]?.[key] === value) return false;
+      data = { ...data, [name]: { ...data[name], [id]: mergeDeep(current, { [field]: { [key]: value } }) } };
+      commit(name);
+      return true;
+    },
+    dispose: () => {
+      if (persist) window.removeEventListener('storage', handleStorage);
+      listeners.clear();
+    }
+  };
+};
+
+const CACHED_COLLECTIONS = ['boards', 'cards'];
+const VOLATILE_COLLECTIONS = ['cardPresence'];
+const QUEUE_RETRY_MS = 15000;
+const SYNCED_DISPLAY_MS = 4000;
+const WRITE_TIMEOUT_MS = 10000;
+
+const isNetworkError = e => !navigator.onLine || ['unavailable', 'deadline-exceeded'].includes(e?.code);
+
+const TIMED_OUT = Symbol('timed out');
+
+const withTimeout = promise => {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(TIMED_OUT), WRITE_TIMEOUT_MS); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const applyQueuedWrites = (items, writes, name, filters) => {
+  const docs = new Map(items.map(item => [item.id, item]));
+  writes.filter(write => write.name === name && write.status === 'pending').forEach(({ op, id, data, field, value, merge }) => {
+    const current = docs.get(id);
+    if (op === 'remove') docs.delete(id);
+    else if (op === 'set') docs.set(id, { ...mergeDeep(current || {}, data), id });
+    else if (current && op === 'update') docs.set(id, { ...current, ...data });
+    else if (current && op === 'updateVersioned') docs.set(id, { ...current, ...data, version: (current.version || 0) + 1 });
+    else if (current && op === 'appendUnique') {
+      const values = current[field] || [];
+      docs.set(id, { ...mergeDeep(current, merge || {}), [field]: values.some(item => isSameValue(item, value)) ? values : [...values, value] });
+    }
+  });
+  return [...docs.values()].filter(item => matchesQuery(item, filters));
+};
+
+// Queues writes that can't reach the server in localStorage and replays them once it answers again.
+export const createOfflineStorage = (inner, namespace, { paused = false } = {}) => {
+  const queueKey = `smart-kanban:queue:${namespace}`;
+  const cacheKey = `smart-kanban:cache:${namespace}`;
+  const readSaved = (key, fallback) => {
+    try { return JSON.parse(localStorage.getItem(key)) || fallback; } catch (e) { console.error('Error reading offline data:', e); return fallback; }
+  };
+  const save = (key, value) => {
+    try { localStorage.setItem(key, JSON.stringify(value)); } catch (e) { console.error('Error saving offline data:', e); }
+  };
+  const cache = readSaved(cacheKey, {});
+  // A write still with Firestore when the page closed may or may not have been saved.
+  let writes = readSaved(queueKey, []).map(w => w.status === 'sending' ? { ...w, status: 'failed', error: 'This change may not have been saved before the page closed.' } : w);
+  let online = navigator.onLine;
+  let reachable = true;
+  let flushing = false;
+  let retryTimer = null;
+  let disposed = false;
+  const synced = new Set();
+  const dataListeners = new Set();
+  const statusListeners = new Set();
+  const reconnects = new Set();
+  const known = new Map();
+  const isOnline = () => online && reachable;
+  const getStatus = () => ({
+    online: isOnline(), writes: writes.map(({ key, name, id, status, error, conflict }) => ({ key, name, id, status: status === 'sending' ? 'pending' : status, error, conflict })), synced: [...synced]
+  });
+  const notifyStatus = () => {
+    const status = getStatus();
+    statusListeners.forEach(listener => listener(status));
+  };
+  const commit = name => {
+    save(queueKey, writes);
+    dataListeners.forEach(listener => listener(name));
+    notifyStatus();
+  };
+  const markSynced = ({ name, id }) => {
+    const docKey = `${name}/${id}`;
+    synced.add(docKey);
+    setTimeout(() => { synced.delete(docKey); notifyStatus(); }, SYNCED_DISPLAY_MS);
+  };
+  const run = ({ op, name, id, data, field, value, merge, expectedVersion, expectedFields }) => op === 'remove' ? inner.remove(name, id)
+    : op === 'appendUnique' ? inner.appendUnique(name, id, field, value, merge)
+    : op === 'updateVersioned' ? inner.updateVersioned(name, id, data, expectedVersion, expectedFields) : inner[op](name, id, data);
+  const settle = (key, e) => {
+    const write = writes.find(w => w.key === key);
+    if (!write || disposed) return;
+    if (e) console.error('Error saving write:', e);
+    writes = e ? writes.map(w => w.key === key ? { ...w, status: 'failed', error: e.message } : w) : writes.filter(w => w.key !== key);
+    if (!e) markSynced(write);
+    commit(write.name);
+  };
+  // Firestore delivers a slow plain write itself, so it stays 'sending' rather than being queued twice.
+  const send = async (write, key) => {
+    const sent = run(write);
+    if (write.op === 'updateVersioned') return sent;
+    const result = await withTimeout(sent);
+    if (result === TIMED_OUT) sent.then(() => settle(key), e => settle(key, e));
+    return result;
+  };
+  const flush = async () => {
+    if (flushing || paused || !isOnline()) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    let interrupted = false;
+    for (const write of writes.filter(w => w.status === 'pending')) {
+      try {
+        if (await send(write, write.key) === TIMED_OUT) {
+          writes = writes.map(w => w.key === write.key ? { ...w, status: 'sending' } : w);
+          commit(write.name);
+          interrupted = true;
+          retryTimer = setTimeout(flush, QUEUE_RETRY_MS);
+          break;
+        }
+        writes = writes.filter(w => w.key !== write.key);
+        markSynced(write);
+      } catch (e) {
+        if (isNetworkError(e)) {
+          interrupted = true;
+          retryTimer = setTimeout(flush, QUEUE_RETRY_MS);
+          break;
+        }
+        const conflict = e?.code === 'version-conflict';
+        if (!conflict) console.error('Error replaying queued write:', e);
+        const error = conflict ? 'Someone else changed this while it was waiting to sync.' : e.message;
+        writes = writes.map(w => w.key === write.key ? { ...w, status: 'failed', error, conflict } : w);
+      }
+      commit(write.name);
+    }
+    flushing = false;
+    if (!interrupted && isOnline() && writes.some(w => w.status === 'pending')) flush();
+  };
+  // A queued update only conflicts with remote edits to the fields it changes.
+  const getExpectations = ({ op, name, id, data, expectedVersion }) => {
+    const seen = op === 'updateVersioned' && known.has(`${name}/${id}`) && applyQueuedWrites([known.get(`${name}/${id}`)], writes, name, [])[0];
+    if (!seen) return { expectedVersion };
+    return { expectedVersion: undefined, expectedFields: Object.fromEntries(Object.keys(data).map(field => [field, seen[field] ?? null])) };
+  };
+  const perform = async write => {
+    if (isOnline() && !writes.some(w => w.status === 'pending')) {
+      const key = generateId('write');
+      try {
+        const result = await send(write, key);
+        if (result !== TIMED_OUT) return result;
+        if (!VOLATILE_COLLECTIONS.includes(write.name)) {
+          writes = [...writes, { ...write, key, status: 'sending', queuedAt: new Date().toISOString() }];
+          commit(write.name);
+        }
+        return;
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+      }
+    }
+    if (VOLATILE_COLLECTIONS.includes(write.name)) return;
+    writes = [...writes, { ...write, ...getExpectations(write), key: generateId('write'), status: 'pending', queuedAt: new Date().toISOString() }];
+    commit(write.name);
+    flush();
+  };
+  const reconnect = () => {
+    notifyStatus();
+    reconnects.forEach(connect => connect());
+    reconnects.clear();
+    flush();
+  };
+  const setReachable = value => {
+    if (value === reachable) return;
+    reachable = value;
+    if (reachable) reconnect();
+    else notifyStatus();
+  };
+  const handleOnline = () => { online = true; reconnect(); };
+  const handleOffline = () => { online = false; notifyStatus(); };
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  flush();
+  return {
+    // Queued writes replay as the signed-in user, so a wrapper created before sign-in waits for this.
+    resume: () => {
+      paused = false;
+      flush();
+    },
+    subscribe: (name, filters, onData, onError) => {
+      const key = `${name}:${JSON.stringify(filters)}`;
+      let latest = cache[key] || null;
+      let confirmed = false;
+      const emit = changed => {
+        if (changed && changed !== name) return;
+        if (latest || writes.some(w => w.name === name)) onData(applyQueuedWrites(latest || [], writes, name, filters));
+      };
+      let unsubscribe = () => {};
+      // A listener that fails (typically because the app started offline) is reopened when the connection returns.
+      const connect = () => {
+        unsubscribe = inner.subscribe(name, filters, (items, { fromCache = false } = {}) => {
+          items.forEach(item => known.set(`${name}/${item.id}`, item));
+          const wasConfirmed = confirmed;
+          confirmed = confirmed || !fromCache;
+          // Until the server answers, saved results beat the inner cache, which is empty after a reload.
+          if (!fromCache || confirmed || !cache[key]) {
+            latest = items;
+            if (!fromCache && CACHED_COLLECTIONS.includes(name)) {
+              cache[key] = items;
+              save(cacheKey, cache);
+            }
+            emit();
+          }
+          // Only a listener that was in sync and falls back to the cache means the server is gone.
+          if (!fromCache || wasConfirmed) setReachable(!fromCache);
+        }, e => {
+          reconnects.add(connect);
+          if (!latest) onError?.(e);
+          else if (!isNetworkError(e)) console.error(`Error listening to ${name}, showing cached data:`, e);
+        });
+      };
+      dataListeners.add(emit);
+      emit();
+      connect();
+      return () => {
+        dataListeners.delete(emit);
+        reconnects.delete(connect);
+        unsubscribe();
+      };
+    },
+    add: async (name, data) => {
+      const id = generateId(name);
+      await perform({ op: 'set', name, id, data });
+      return id;
+    },
+    set: (name, id, data) => perform({ op: 'set', name, id, data }),
+    update: (name, id, data) => perform({ op: 'update', name, id, data }),
+    updateVersioned: (name, id, data, expectedVersion) => perform({ op: 'updateVersioned', name, id, data, expectedVersion }),
+    remove: (name, id) => perform({ op: 'remove', name, id }),
+    appendUnique: (name, id, field, value, merge) => perform({ op: 'appendUnique', name, id, field, value, merge }),
+    // Claims need the server's answer, so they are never queued.
+    claim: (name, id, field, key, value) => inner.claim(name, id, field, key, value),
+    onSyncStatus: listener => {
+      statusListeners.add(listener);
+      listener(getStatus());
+      return () => { statusListeners.delete(listener); };
+    },
+    retryFailedWrites: () => {
+      writes = writes.map(w => w.status !== 'failed' ? w
+        : { ...w, status: 'pending', error: null, conflict: false, ...(w.conflict ? { expectedVersion: undefined, expectedFields: undefined } : {}) });
+      commit();
+      flush();
+    },
+    discardFailedWrites: () => {
+      writes = writes.filter(w => w.status !== 'failed');
+      commit();
+    },
+    dispose: () => {
+      disposed = true;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(retryTimer);
+      inner.dispose?.();
+    }
+  };
+};
+
+// Without localStorage (disabled, or a private window that rejects writes) the id lasts for the session.
+export const getLocalUserId = () => {
+  const key = 'smart-kanban:user-id';
+  try {
+    const existing = localStorage.getItem(key);
+    if (existing) return existing;
+    const created = generateId('local-user');
+    localStorage.setItem(key, created);
+    return created;
+  } catch (e) {
+    console.error('Error reading local user id:', e);
+    return generateId('local-user');
+  }
+};
+
+const useStorageSetup = (injectedStorage, injectedUserId) => {
+  const [storage, setStorage] = useState(injectedStorage || null);
+  const [userId, setUserId] = useState(injectedUserId || null);
+  const [isAuthReady, setIsAuthReady] = useState(Boolean(injectedStorage));
+  const [authEmail, setAuthEmail] = useState(null);
 
   useEffect(() => {
+    if (injectedStorage) return;
     try {
       const currentAppId = typeof __app_id !== 'undefined' ? __app_id : 'default-trello-app';
       const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
       const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-      if (Object.keys(firebaseConfig).length === 0) return;
+      if (Object.keys(firebaseConfig).length === 0) {
+        const localAdapter = createLocalStorage(currentAppId);
+        setStorage(localAdapter);
+        setUserId(getLocalUserId());
+        setIsAuthReady(true);
+        return () => localAdapter.dispose();
+      }
 
       const app = initializeApp(firebaseConfig);
       const firestore = getFirestore(app);
       const firebaseAuth = getAuth(app);
 
-      setDb(firestore);
-      setAppId(currentAppId);
+      const offlineStorage = createOfflineStorage(createFirestoreStorage(firestore, currentAppId), currentAppId, { paused: true });
+      setStorage(offlineStorage);
 
       const performAuth = async () => {
         try {
@@ -38,85 +462,888 @@ const useFirebaseSetup = () => {
       performAuth();
 
       const unsubscribe = onAuthStateChanged(firebaseAuth, user => {
+        if (user) offlineStorage.resume();
         setUserId(user ? user.uid : null);
+        setAuthEmail(user?.emailVerified ? user.email : null);
         setIsAuthReady(true);
       });
-      return () => unsubscribe();
+      return () => {
+        unsubscribe();
+        offlineStorage.dispose();
+      };
     } catch (e) {
       console.error("Failed to initialize Firebase:", e);
     }
-  }, []);
+  }, [injectedStorage]);
+
+  return { storage, userId, authEmail, isAuthReady };
+};
+
+// Null for adapters that write straight through and have nothing to report.
+const useSyncStatus = storage => {
+  const [status, setStatus] = useState(null);
+  useEffect(() => storage?.onSyncStatus?.(setStatus), [storage]);
+  return status;
+};
+
+const SYNC_STATE_LABELS = { pending: '⟳ Waiting to sync', failed: '⚠ Sync failed', synced: '✓ Synced' };
+
+const getDocSyncStates = (status, name) => {
+  const states = new Map((status?.synced || []).filter(docKey => docKey.startsWith(`${name}/`)).map(docKey => [docKey.slice(name.length + 1), 'synced']));
+  (status?.writes || []).filter(write => write.name === name).forEach(write => {
+    if (states.get(write.id) !== 'failed') states.set(write.id, write.status);
+  });
+  return states;
+};
+
+const DEFAULT_LISTS = [
+  { id: 'todo', title: 'To Do', order: 1 },
+  { id: 'in_progress', title: 'In Progress', order: 2 },
+  { id: 'done', title: 'Done', order: 3 }
+];
+
+const generateId = prefix => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+const getBoardLists = board => [...(board?.lists?.length ? board.lists : DEFAULT_LISTS)].sort((a, b) => a.order - b.order);
+
+const LINK_TYPES = {
+  relates: { label: 'relates to', inverse: 'relates' },
+  duplicates: { label: 'duplicates', inverse: 'duplicated_by' },
+  duplicated_by: { label: 'is duplicated by', inverse: 'duplicates' },
+  blocks: { label: 'blocks', inverse: 'blocked_by' },
+  blocked_by: { label: 'is blocked by', inverse: 'blocks' },
+  has_subtask: { label: 'has subtask', inverse: 'subtask_of' },
+  subtask_of: { label: 'is a subtask of', inverse: 'has_subtask' }
+};
+
+const LINK_TYPE_OPTIONS = ['relates', 'duplicates', 'blocks', 'blocked_by'];
+
+const LABEL_COLORS = { red: '#ef4444', orange: '#f97316', yellow: '#eab308', green: '#22c55e', blue: '#3b82f6', purple: '#8b5cf6', pink: '#ec4899', gray: '#6b7280' };
 
-  return { db, userId, appId, isAuthReady };
+const getCardLabels = (card, labels) => (card.labelIds || []).map(id => labels.find(l => l.id === id)).filter(Boolean);
+
+const getChecklistProgress = card => ({ done: (card.checklist || []).filter(item => item.done).length, total: (card.checklist || []).length });
+
+const removeStepLines = (description, steps) => {
+  const stepLines = new Set(steps.map(step => step.line));
+  return description.split(/\r?\n/).filter(line => !stepLines.has(line)).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const createsDependencyCycle = (blockedId, blockerId, allCards) => {
+  const visited = new Set();
+  const stack = [blockerId];
+  while (stack.length > 0) {
+    const currentId = stack.pop();
+    if (currentId === blockedId) return true;
+    if (visited.has(currentId)) continue;
+    visited.add(currentId);
+    const current = allCards.find(c => c.id === currentId);
+    if (current) stack.push(...getBlockerIds(current));
+  }
+  return false;
+};
+
+const getLinkError = (sourceId, targetId, type, allCards) => {
+  if (sourceId === targetId) return 'A card cannot be linked to itself.';
+  const dependency = type === 'blocked_by' ? [sourceId, targetId] : type === 'blocks' ? [targetId, sourceId] : null;
+  if (dependency && createsDependencyCycle(dependency[0], dependency[1], allCards)) return 'This dependency would create a circular chain of blockers.';
+  return null;
 };
 
-const getJaccardSimilarity = (text1, text2) => {
-  const normalize = text => {
-    const stopWords = new Set(['a', 'the', 'is', 'of', 'and', 'to', 'in', 'for', 'with', 'on', 'my']);
-    return new Set(text.toLowerCase().replace(/[.,/#!$%^&*;:{}=\-_`~()]/g, "").split(/\s+/).filter(w => w.length > 2 && !stopWords.has(w)));
+// The target keeps its own values and gains the duplicate's; links to the duplicate move to the target.
+export const getCardMerge = (target, duplicate, allCards) => {
+  const repoint = links => links.map(link => link.cardId === duplicate.id ? { ...link, cardId: target.id } : link)
+    .filter((link, index, all) => all.findIndex(other => other.cardId === link.cardId) === index);
+  const combine = field => [...new Set([...(target[field] || []), ...(duplicate[field] || [])])];
+  const ownItems = (target.checklist || []).map(item => item.text);
+  return {
+    updates: {
+      links: repoint([...(target.links || []), ...(duplicate.links || [])]).filter(link => link.cardId !== target.id),
+      checklist: [...(target.checklist || []), ...(duplicate.checklist || []).filter(item => !ownItems.includes(item.text))],
+      assigneeIds: combine('assigneeIds'), labelIds: combine('labelIds')
+    },
+    relinked: allCards.filter(card => card.id !== target.id && card.id !== duplicate.id && (card.links || []).some(link => link.cardId === duplicate.id))
+      .map(card => ({ id: card.id, links: repoint(card.links) }))
   };
-  const setA = normalize(text1);
-  const setB = normalize(text2);
-  if (setA.size === 0 || setB.size === 0) return 0;
-  const intersection = new Set([...setA].filter(x => setB.has(x)));
-  const union = new Set([...setA, ...setB]);
-  return intersection.size / union.size;
 };
 
-const getSmartRecommendations = (card, allCards) => {
-  const recs = [];
-  const content = (card.title + ' ' + (card.description || '')).toLowerCase();
-  const currentList = card.listTitle;
-  if (!card.dueDate) {
-    let date = null, rationale = '';
-    if (content.includes('today') || content.includes('urgent') || content.includes('asap')) {
-      date = new Date(); rationale = 'Based on urgent keywords.';
-    } else if (content.includes('tomorrow') || content.includes('next day')) {
-      date = new Date(); date.setDate(date.getDate() + 1); rationale = 'Based on short-term keywords.';
-    } else if (content.includes('next week') || content.includes('7 days')) {
-      date = new Date(); date.setDate(date.getDate() + 7); rationale = 'Based on medium-term keywords.';
-    }
-    if (date) {
-      const action = date.toISOString().split('T')[0];
-      recs.push({ type: 'date', text: `Suggest Due Date: ${action}`, action, rationale });
+const ACTIVITY_FIELD_LABELS = {
+  title: 'title', description: 'description', dueDate: 'due date', listId: 'list', position: 'order', links: 'links',
+  dismissedRecs: 'dismissed recommendations', labelIds: 'labels', priority: 'priority', checklist: 'checklist', assigneeIds: 'assignees',
+  recurrence: 'repeat', labels: 'board labels', recommenderSettings: 'recommendation settings', automations: 'automations', automationRuns: 'automation runs', lists: 'lists', members: 'members', roles: 'roles', ownerId: 'owner', ownerEmail: 'owner email', memberEmails: 'member emails'
+};
+
+const UNDO_WINDOW = 20;
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const groupActivityBatches = entries => {
+  const batches = new Map();
+  [...entries].sort((a, b) => b.timestamp.localeCompare(a.timestamp)).forEach(entry => {
+    if (!batches.has(entry.batchId)) batches.set(entry.batchId, { id: entry.batchId, actorId: entry.actorId, timestamp: entry.timestamp, source: entry.source, cardId: entry.cardId, entries: [] });
+    batches.get(entry.batchId).entries.push(entry);
+  });
+  return [...batches.values()];
+};
+
+const formatActivityValue = (field, value, lists) => {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (field === 'listId') return lists.find(l => l.id === value)?.title || 'a removed list';
+  if (field === 'dueDate') return parseLocalDate(value).toLocaleDateString();
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  if (typeof value === 'object') return field === 'recurrence' ? describeRecurrence(value) : 'updated settings';
+  const text = String(value);
+  return `"${text.length > 40 ? `${text.slice(0, 40)}…` : text}"`;
+};
+
+const describeActivityEntry = (entry, lists) => {
+  if (entry.action === 'create') return `created "${entry.cardTitle}"`;
+  if (entry.action === 'delete') return `deleted "${entry.cardTitle}"`;
+  const target = entry.cardId ? ` of "${entry.cardTitle}"` : ' of the board';
+  if (entry.field === 'listId') return `moved "${entry.cardTitle}" from ${formatActivityValue('listId', entry.oldValue, lists)} to ${formatActivityValue('listId', entry.newValue, lists)}`;
+  if (entry.field === 'position') return `reordered "${entry.cardTitle}"`;
+  return `changed ${ACTIVITY_FIELD_LABELS[entry.field] || entry.field}${target} from ${formatActivityValue(entry.field, entry.oldValue, lists)} to ${formatActivityValue(entry.field, entry.newValue, lists)}`;
+};
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+const normalizeEmail = email => email.trim().toLowerCase();
+
+const getInviteId = (boardId, email) => `${boardId}_${normalizeEmail(email)}`;
+
+const getMemberRole = (board, uid) => {
+  if (!board || !uid) return null;
+  if (board.ownerId === uid) return 'owner';
+  if (!(board.members || []).includes(uid)) return null;
+  return board.roles?.[uid] || 'editor';
+};
+
+const canEditBoard = (board, uid) => ['owner', 'editor'].includes(getMemberRole(board, uid));
+
+const getMemberLabel = (board, uid) => board.memberEmails?.[uid] || (uid === board.ownerId && board.ownerEmail !== uid ? board.ownerEmail : null) || uid;
+
+// Legacy boards stored invited emails directly in `members`; only uids count as members.
+const getBoardMembers = board => [...new Set([board.ownerId, ...(board.members || [])])]
+  .filter(id => id && !id.includes('@'))
+  .map(id => ({ id, label: getMemberLabel(board, id), role: getMemberRole(board, id) }));
+
+const RECURRENCE_FREQUENCIES = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const describeRecurrence = recurrence => {
+  if (recurrence.frequency === 'weekly') return `Weekly on ${(recurrence.weekdays || []).map(day => WEEKDAY_LABELS[day]).join(', ') || 'the due day'}`;
+  if (recurrence.frequency === 'monthly') return `Monthly on day ${recurrence.dayOfMonth || 'of the due date'}`;
+  return RECURRENCE_FREQUENCIES[recurrence.frequency] || 'Custom';
+};
+
+const getNextOccurrence = (recurrence, from) => {
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = recurrence.weekdays?.length ? recurrence.weekdays : [from.getDay()];
+    return addDays(from, [1, 2, 3, 4, 5, 6, 7].find(offset => weekdays.includes((from.getDay() + offset) % 7)));
+  }
+  if (recurrence.frequency === 'monthly') {
+    const lastDay = new Date(from.getFullYear(), from.getMonth() + 2, 0).getDate();
+    return new Date(from.getFullYear(), from.getMonth() + 1, Math.min(recurrence.dayOfMonth || from.getDate(), lastDay));
+  }
+  return addDays(from, 1);
+};
+
+// Occurrences follow on from the due date, skipping any that have already passed.
+const getNextDueDate = (card, now = new Date()) => {
+  const today = startOfDay(now);
+  let next = getNextOccurrence(card.recurrence, card.dueDate ? parseLocalDate(card.dueDate) : today);
+  while (next < today) next = getNextOccurrence(card.recurrence, next);
+  return formatLocalDate(next);
+};
+
+const buildNextOccurrence = (card, now = new Date()) => ({
+  title: card.title, description: card.description || '', dueDate: getNextDueDate(card, now), recurrence: card.recurrence,
+  labelIds: card.labelIds || [], priority: card.priority || null, assigneeIds: card.assigneeIds || [],
+  checklist: (card.checklist || []).map(item => ({ ...item, id: generateId('item'), done: false })), previousOccurrenceId: card.id
+});
+
+// Template due dates are stored as day offsets from when the template was saved.
+const buildBoardTemplate = (board, cards, name, now = new Date()) => ({
+  name, lists: getBoardLists(board), labels: board.labels || [], createdAt: now.toISOString(),
+  cards: sortCardsByPosition(cards).map(card => ({
+    sourceId: card.id, title: card.title, description: card.description || '', listId: card.listId, position: getCardPosition(card),
+    labelIds: card.labelIds || [], priority: card.priority || null, recurrence: card.recurrence || null, links: card.links || [],
+    checklist: (card.checklist || []).map(item => ({ ...item, done: false })),
+    dueOffset: card.dueDate ? getDayOffset(now, parseLocalDate(card.dueDate)) : null
+  }))
+});
+
+const instantiateBoardTemplate = (template, now = new Date()) => ({
+  lists: template.lists, labels: template.labels || [],
+  cards: template.cards.map(({ dueOffset, ...card }) => ({ ...card, dueDate: dueOffset === null ? '' : formatLocalDate(addDays(startOfDay(now), dueOffset)) }))
+});
+
+const MAX_AUTOMATION_DEPTH = 5;
+const AUTOMATION_LOG_LIMIT = 30;
+
+const isChecklistComplete = card => {
+  const { done, total } = getChecklistProgress(card);
+  return total > 0 && done === total;
+};
+
+const hasTitleKeyword = (card, keyword) => Boolean(card) && (card.title || '').toLowerCase().includes(keyword.toLowerCase());
+
+// `before` is null for a new card. Due-date rules fire once per deadline, claimed in card.automationRuns.
+const AUTOMATION_TRIGGERS = {
+  'card-created': { label: 'Card is created', describe: () => 'a card is created', matches: ({ before }) => !before },
+  'moved-to-list': {
+    label: 'Card is moved to list', describe: (trigger, lists) => `a card is moved to ${lists.find(l => l.id === trigger.listId)?.title || 'a removed list'}`,
+    matches: ({ trigger, before, after }) => Boolean(before) && before.listId !== after.listId && after.listId === trigger.listId
+  },
+  'due-passed': {
+    label: 'Due date passes', describe: () => "a card's due date passes",
+    matches: ({ rule, after, doneListId, now }) => Boolean(after.dueDate) && isOverdue(after.dueDate, now) && after.listId !== doneListId && after.automationRuns?.[rule.id] !== after.dueDate
+  },
+  'title-keyword': {
+    label: 'Title contains keyword', describe: trigger => `a title contains "${trigger.keyword}"`,
+    matches: ({ trigger, before, after }) => hasTitleKeyword(after, trigger.keyword) && !hasTitleKeyword(before, trigger.keyword)
+  },
+  'checklist-complete': { label: 'Checklist is completed', describe: () => 'a checklist is completed', matches: ({ before, after }) => isChecklistComplete(after) && !(before && isChecklistComplete(before)) }
+};
+
+const AUTOMATION_FIELDS = { priority: 'Priority', labelIds: 'Label', assigneeIds: 'Assignee' };
+
+const AUTOMATION_ACTIONS = {
+  move: { label: 'Move to list', describe: (action, { lists }) => `move it to ${lists.find(l => l.id === action.listId)?.title || 'a removed list'}`, apply: action => ({ listId: action.listId }) },
+  'set-due': {
+    label: 'Set due date', describe: action => `set the due date ${action.days} day(s) from today`,
+    apply: (action, card, now) => ({ dueDate: formatLocalDate(addDays(startOfDay(now), Number(action.days))) })
+  },
+  'shift-due': {
+    label: 'Shift due date', describe: action => `shift the due date by ${action.days} day(s)`,
+    apply: (action, card) => card.dueDate ? { dueDate: formatLocalDate(addDays(parseLocalDate(card.dueDate), Number(action.days))) } : {}
+  },
+  'clear-due': { label: 'Clear due date', describe: () => 'clear the due date', apply: () => ({ dueDate: '' }) },
+  'set-field': {
+    label: 'Set a field',
+    describe: (action, { labels, members }) => action.field === 'priority' ? `set priority to ${PRIORITIES[action.value]?.label || 'none'}`
+      : action.field === 'labelIds' ? `add label ${labels.find(l => l.id === action.value)?.name || 'a removed label'}`
+      : `assign ${members.find(m => m.id === action.value)?.label || action.value}`,
+    apply: (action, card) => action.field === 'priority' ? { priority: action.value || null } : { [action.field]: [...new Set([...(card[action.field] || []), action.value])] }
+  },
+  comment: { label: 'Add a comment', describe: action => `comment "${action.text}"`, apply: () => ({}) }
+};
+
+const describeAutomation = (rule, context) => `When ${AUTOMATION_TRIGGERS[rule.trigger.type]?.describe(rule.trigger, context.lists) || 'an unknown trigger fires'}, ${rule.actions.map(action => AUTOMATION_ACTIONS[action.type]?.describe(action, context) || 'do nothing').join(', then ')}.`;
+
+const getTriggeredAutomations = (rules, before, after, doneListId, now = new Date()) => rules
+  .filter(rule => rule.enabled && AUTOMATION_TRIGGERS[rule.trigger.type]?.matches({ trigger: rule.trigger, rule, before, after, doneListId, now }));
+
+export const getAutomationEffects = (rule, card, now = new Date()) => rule.actions.reduce(({ working, updates, comments }, action) => {
+  const changes = AUTOMATION_ACTIONS[action.type]?.apply(action, working, now) || {};
+  return { working: { ...working, ...changes }, updates: { ...updates, ...changes }, comments: action.type === 'comment' ? [...comments, action.text] : comments };
+}, { working: card, updates: {}, comments: [] });
+
+const getInitials = label => {
+  const parts = label.split('@')[0].split(/[\s._-]+/).filter(Boolean);
+  return (parts.length > 1 ? parts[0][0] + parts[1][0] : (parts[0] || '?').slice(0, 2)).toUpperCase();
+};
+
+const getAvatarColor = id => Object.values(LABEL_COLORS)[Math.abs(parseInt(hashString(id), 36)) % Object.values(LABEL_COLORS).length];
+
+const getCardAssignees = (card, members) => (card.assigneeIds || []).map(id => members.find(m => m.id === id) || { id, label: id });
+
+export const getUnassignments = (cards, memberId) => cards.filter(card => (card.assigneeIds || []).includes(memberId))
+  .map(card => ({ card, updates: { assigneeIds: card.assigneeIds.filter(id => id !== memberId) } }));
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A mention has to end at whitespace or punctuation, so "@ana" doesn't match inside "@anabel" or "@ana.lee@x.com".
+export const extractMentions = (text, members) => members.filter(m => new RegExp(`(?<!\\w)@${escapeRegExp(m.label)}(?![\\w@-]|\\.\\w)`).test(text)).map(m => m.id);
+
+const renderCommentText = text => text.split(/(@\S+)/).map((part, index) => part.startsWith('@') ? <span key={index} className="comment-mention">{part}</span> : part);
+
+const POSITION_GAP = 1024;
+
+const CARD_PAGE_SIZE = 50;
+
+// Card listeners stay open for the most recently viewed boards so switching back is instant.
+const CACHED_BOARD_LIMIT = 5;
+
+const getCardPosition = card => card.position ?? (Date.parse(card.createdAt) || 0);
+
+const sortCardsByPosition = cards => [...cards].sort((a, b) => getCardPosition(a) - getCardPosition(b) || a.id.localeCompare(b.id));
+
+// Returns null when the neighbours are too close together to fit a new position between them.
+const getPositionBetween = (before, after) => {
+  if (!before && !after) return POSITION_GAP;
+  if (!before) return getCardPosition(after) - POSITION_GAP;
+  if (!after) return getCardPosition(before) + POSITION_GAP;
+  const low = getCardPosition(before), high = getCardPosition(after);
+  const mid = (low + high) / 2;
+  return mid > low && mid < high ? mid : null;
+};
+
+const EXPORT_FORMAT = 'smart-kanban-board';
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['id', 'title', 'description', 'list', 'priority', 'labels', 'assignees', 'dueDate', 'recurrence', 'checklist', 'position', 'createdBy', 'createdAt', 'links'];
+
+const buildNewBoard = (name, userId, email, lists = DEFAULT_LISTS, labels = []) => ({
+  name, ownerId: userId, ownerEmail: email || '', members: [userId], roles: { [userId]: 'owner' }, memberEmails: email ? { [userId]: email } : {}, lists, labels, createdAt: new Date().toISOString()
+});
+
+const getExportFileName = (board, extension) => `${board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board'}.${extension}`;
+
+const buildBoardExport = (board, cards) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  board: { name: board.name, lists: getBoardLists(board), labels: board.labels || [], createdAt: board.createdAt },
+  cards: sortCardsByPosition(cards).map(({ boardId, ...card }) => card)
+});
+
+// Escapes a leading =, +, - or @ so spreadsheets don't run cells as formulas; negative numbers stay as they are.
+export const toCsvValue = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const safe = /^[=+@]/.test(text) || (/^-/.test(text) && !/^-\d+(?:\.\d+)?$/.test(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const buildBoardCsv = (cards, lists, labels) => {
+  const listOrder = lists.map(l => l.id);
+  const rows = sortCardsByPosition(cards).sort((a, b) => listOrder.indexOf(a.listId) - listOrder.indexOf(b.listId)).map(card => ({
+    ...card, list: lists.find(l => l.id === card.listId)?.title || '', labels: getCardLabels(card, labels).map(l => l.name).join(';'), assignees: (card.assigneeIds || []).join(';'),
+    recurrence: card.recurrence ? describeRecurrence(card.recurrence) : '', checklist: (card.checklist || []).map(item => `[${item.done ? 'x' : ' '}] ${item.text}`).join(';'), links: (card.links || []).map(link => `${link.type}:${link.cardId}`).join(';')
+  }));
+  return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+};
+
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const formatIcsDate = date => formatLocalDate(date).replace(/-/g, '');
+
+const escapeIcsText = value => String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// iCalendar lines are limited to 75 octets; longer ones continue on lines starting with a space.
+const foldIcsLine = line => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (encoder.encode(current + char).length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
     }
+    current += char;
+  }
+  return [...parts, current].join('\r\n ');
+};
+
+const buildBoardIcs = (board, cards, lists) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const events = sortCardsByPosition(cards.filter(card => card.dueDate)).flatMap(card => [
+    'BEGIN:VEVENT',
+    `UID:${card.id}@smart-kanban`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatIcsDate(parseLocalDate(card.dueDate))}`,
+    `DTEND;VALUE=DATE:${formatIcsDate(addDays(parseLocalDate(card.dueDate), 1))}`,
+    `SUMMARY:${escapeIcsText(card.title)}`,
+    ...(card.description ? [`DESCRIPTION:${escapeIcsText(card.description)}`] : []),
+    `CATEGORIES:${escapeIcsText(lists.find(l => l.id === card.listId)?.title || lists[0]?.title)}`,
+    'END:VEVENT'
+  ]);
+  return [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Smart Kanban//Board Export//EN', 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${escapeIcsText(board.name)}`, ...events, 'END:VCALENDAR'
+  ].map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+// Bookkeeping and assignees belong to the exporting board, so imported cards start without them.
+export const mapExportedBoard = data => {
+  const unmapped = [];
+  const lists = (data.board?.lists || []).filter(l => l.id && l.title);
+  if (lists.length === 0) {
+    lists.push(...DEFAULT_LISTS);
+    unmapped.push('The file had no lists, so the default lists were used.');
   }
-  if (currentList.includes('To Do') && (content.includes('started') || content.includes('working on'))) {
-    recs.push({ type: 'move', text: 'Suggest Move: In Progress', action: 'In Progress', rationale: 'Keywords suggest work has begun.' });
-  } else if (currentList.includes('In Progress') && (content.includes('done') || content.includes('complete'))) {
-    recs.push({ type: 'move', text: 'Suggest Move: Done', action: 'Done', rationale: 'Keywords suggest task is complete.' });
+  const labels = (data.board?.labels || []).filter(l => l.id && l.name);
+  const cards = (data.cards || []).filter(card => {
+    if (card.title) return true;
+    unmapped.push(`Skipped a card without a title${card.id ? ` (${card.id})` : ''}.`);
+    return false;
+  }).map(({ id, labelIds, version, automationRuns, nextOccurrenceId, previousOccurrenceId, dismissedRecs, assigneeIds, ...card }) => {
+    const mapped = { ...card, sourceId: id, labelIds: (labelIds || []).filter(labelId => labels.some(l => l.id === labelId)) };
+    if (lists.some(l => l.id === card.listId)) return mapped;
+    unmapped.push(`"${card.title}" was in an unknown list and was placed in "${lists[0].title}".`);
+    return { ...mapped, listId: lists[0].id };
+  });
+  const assigned = (data.cards || []).filter(card => card.title && card.assigneeIds?.length).length;
+  if (assigned > 0) unmapped.push(`${assigned} card(s) had assignees, which were not imported.`);
+  return { name: data.board?.name || 'Imported board', lists, labels, cards, unmapped };
+};
+
+// Trello ids start with the creation time in seconds as 8 hex digits.
+const getTrelloCreatedAt = id => /^[0-9a-f]{24}$/i.test(id || '') ? new Date(parseInt(id.slice(0, 8), 16) * 1000).toISOString() : null;
+
+export const mapTrelloBoard = data => {
+  const unmapped = [];
+  const byPos = (a, b) => (a.pos ?? 0) - (b.pos ?? 0);
+  const openLists = data.lists.filter(l => !l.closed).sort(byPos);
+  const lists = openLists.map((l, i) => ({ id: generateId('list'), title: l.name, order: i, trelloId: l.id }));
+  data.lists.filter(l => l.closed).forEach(l => unmapped.push(`Archived list "${l.name}" was skipped.`));
+  if (lists.length === 0) lists.push(...DEFAULT_LISTS);
+  const trelloColors = { sky: 'blue', lime: 'green', black: 'gray' };
+  const labels = (data.labels || []).map(l => ({ id: generateId('label'), name: l.name || l.color || 'Label', color: LABEL_COLORS[trelloColors[l.color] || l.color] || LABEL_COLORS.gray, trelloId: l.id }));
+  const archivedCards = data.cards.filter(c => c.closed);
+  if (archivedCards.length > 0) unmapped.push(`${archivedCards.length} archived card(s) were skipped.`);
+  const positions = {};
+  const cards = data.cards.filter(c => !c.closed).sort(byPos).map(c => {
+    let list = lists.find(l => l.trelloId === c.idList);
+    if (!list) {
+      list = lists[0];
+      unmapped.push(`"${c.name}" was in an archived or missing list and was placed in "${list.title}".`);
+    }
+    positions[list.id] = (positions[list.id] || 0) + POSITION_GAP;
+    return {
+      sourceId: c.id, title: c.name || 'Untitled', description: c.desc || '', listId: list.id, position: positions[list.id],
+      labelIds: (c.idLabels || (c.labels || []).map(l => l.id)).map(id => labels.find(l => l.trelloId === id)?.id).filter(Boolean),
+      checklist: (data.checklists || []).filter(list => list.idCard === c.id).sort(byPos).flatMap(list => [...(list.checkItems || [])].sort(byPos))
+        .map(item => ({ id: generateId('item'), text: item.name, done: item.state === 'complete' })),
+      ...(c.due ? { dueDate: formatLocalDate(new Date(c.due)) } : {}), ...(getTrelloCreatedAt(c.id) ? { createdAt: getTrelloCreatedAt(c.id) } : {})
+    };
+  });
+  const countCards = predicate => data.cards.filter(c => !c.closed && predicate(c)).length;
+  const notes = [
+    [countCards(c => c.idMembers?.length), 'card(s) had members assigned, which were not imported.'],
+    [countCards(c => (data.checklists || []).filter(list => list.idCard === c.id).length > 1), 'card(s) had several checklists, which were merged into one.'],
+    [countCards(c => c.badges?.attachments), 'card(s) had attachments, which were not imported.'],
+    [countCards(c => c.dueComplete), 'card(s) were marked due-complete; only the due date was kept.'],
+    [(data.actions || []).filter(a => a.type === 'commentCard').length, 'comment(s) were not imported.'],
+    [(data.customFields || []).length, 'custom field(s) were not imported.']
+  ];
+  notes.filter(([count]) => count > 0).forEach(([count, text]) => unmapped.push(`${count} ${text}`));
+  return { name: data.name || 'Imported Trello board', lists: lists.map(({ trelloId, ...l }) => l), labels: labels.map(({ trelloId, ...l }) => l), cards, unmapped };
+};
+
+const parseBoardImport = text => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
   }
-  const relatedCards = allCards.filter(c => c.id !== card.id).map(otherCard => {
-    const similarity = getJaccardSimilarity(content, otherCard.title + ' ' + (otherCard.description || ''));
-    return { card: otherCard, similarity };
-  }).filter(item => item.similarity > 0.25).sort((a, b) => b.similarity - a.similarity).slice(0, 3);
-  if (relatedCards.length > 0) {
-    recs.push({ type: 'related', text: 'Suggested Related Cards:', cards: relatedCards, rationale: 'Content similarity analysis.' });
+  if (data?.format === EXPORT_FORMAT) return { source: 'Smart Kanban', ...mapExportedBoard(data) };
+  if (Array.isArray(data?.lists) && Array.isArray(data?.cards)) return { source: 'Trello', ...mapTrelloBoard(data) };
+  throw new Error('Unrecognized file. Import a Smart Kanban JSON export or a Trello board export.');
+};
+
+const isOverdue = (dueDate, now = new Date()) => parseLocalDate(dueDate) < startOfDay(now);
+
+const startOfWeek = date => addDays(startOfDay(date), -date.getDay());
+
+const getDayOffset = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+
+const BOARD_LAYOUTS = { board: 'Board', calendar: 'Calendar', timeline: 'Timeline' };
+
+const CALENDAR_MODES = { month: 'Month', week: 'Week' };
+
+const TIMELINE_DAYS = 28;
+
+const getCalendarDays = (anchor, mode) => {
+  const start = startOfWeek(mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : anchor);
+  const end = mode === 'month' ? addDays(startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)), 6) : addDays(start, 6);
+  return Array.from({ length: getDayOffset(start, end) + 1 }, (_, index) => addDays(start, index));
+};
+
+const shiftCalendarAnchor = (anchor, mode, step) => mode === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth() + step, 1) : addDays(anchor, step * 7);
+
+const groupCardsByDueDate = cards => cards.reduce((groups, card) => card.dueDate ? { ...groups, [card.dueDate]: [...(groups[card.dueDate] || []), card] } : groups, {});
+
+// Timeline bars run from the day a card was created to its due date, clipped to the visible range.
+const getTimelineSpan = (card, rangeStart, length) => {
+  const end = getDayOffset(rangeStart, parseLocalDate(card.dueDate));
+  const start = Math.min(end, card.createdAt ? getDayOffset(rangeStart, new Date(card.createdAt)) : end);
+  if (end < 0 || start >= length) return null;
+  return { start: Math.max(start, 0), end: Math.min(end, length - 1), clippedStart: start < 0, clippedEnd: end >= length };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FLOW_COLORS = ['#a5b4fc', '#fcd34d', '#6ee7b7', '#f9a8d4', '#93c5fd', '#fdba74', '#c4b5fd'];
+
+const THROUGHPUT_WEEKS = 8;
+
+const CFD_DAYS = 30;
+
+const AGING_WIP_LIMIT = 10;
+
+// Cards created before list history was recorded are treated as having entered their current list when created.
+const getListHistory = card => card.listHistory?.length ? card.listHistory : [{ listId: card.listId, enteredAt: card.createdAt }];
+
+export const buildNewCard = (boardId, listId, position, userId, fields, createdAt = new Date().toISOString()) => ({
+  boardId, listId, position, createdBy: userId, createdAt, listHistory: [{ listId, enteredAt: createdAt }], ...fields
+});
+
+// A card without list history starts one from its starting list in the same write as its first move.
+export const getCardWrite = (current, updates, enteredAt = new Date().toISOString()) => {
+  const transition = current && updates.listId && updates.listId !== current.listId ? { listId: updates.listId, enteredAt } : null;
+  if (!transition || current.listHistory?.length) return { updates, transition };
+  return { updates: { ...updates, listHistory: [...getListHistory(current).filter(entry => entry.enteredAt), transition] }, transition: null };
+};
+
+const getListAt = (card, time) => {
+  const iso = time.toISOString();
+  return getListHistory(card).filter(entry => entry.enteredAt <= iso).at(-1)?.listId ?? null;
+};
+
+// A card starts when it first leaves the first list and completes when it last entered the done list.
+const getCardFlow = (card, lists) => {
+  const history = getListHistory(card);
+  const doneListId = getDoneListId(lists);
+  const startedAt = history.find(entry => entry.listId !== lists[0]?.id)?.enteredAt ?? null;
+  const completedAt = card.listId === doneListId ? history.filter(entry => entry.listId === doneListId).at(-1)?.enteredAt ?? null : null;
+  return {
+    startedAt, completedAt, enteredListAt: history.at(-1).enteredAt,
+    leadDays: completedAt && card.createdAt ? (new Date(completedAt) - new Date(card.createdAt)) / DAY_MS : null,
+    cycleDays: completedAt && startedAt ? (new Date(completedAt) - new Date(startedAt)) / DAY_MS : null
+  };
+};
+
+const getPercentile = (values, percentile) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1)];
+};
+
+export const getFlowMetrics = (cards, lists, now = new Date()) => {
+  const flows = cards.map(card => ({ card, ...getCardFlow(card, lists) }));
+  const completed = flows.filter(flow => flow.completedAt);
+  const summarize = values => ({ median: getPercentile(values, 50), p85: getPercentile(values, 85), count: values.length });
+  const weekStart = startOfWeek(now);
+  const throughput = Array.from({ length: THROUGHPUT_WEEKS }, (_, index) => {
+    const start = addDays(weekStart, (index - THROUGHPUT_WEEKS + 1) * 7);
+    const end = addDays(start, 7);
+    return { start, count: completed.filter(flow => new Date(flow.completedAt) >= start && new Date(flow.completedAt) < end).length };
+  });
+  const cfd = Array.from({ length: CFD_DAYS }, (_, index) => {
+    const day = addDays(startOfDay(now), index - CFD_DAYS + 1);
+    const end = new Date(Math.min(addDays(day, 1).getTime(), now.getTime()));
+    const counts = Object.fromEntries(lists.map(list => [list.id, 0]));
+    cards.forEach(card => {
+      const listId = getListAt(card, end);
+      if (listId in counts) counts[listId]++;
+    });
+    return { day, counts };
+  });
+  const cycleP85 = getPercentile(completed.map(flow => flow.cycleDays).filter(days => days !== null), 85);
+  const agingWip = flows.filter(flow => flow.card.listId !== lists[0]?.id && flow.card.listId !== getDoneListId(lists)).map(flow => ({
+    card: flow.card, daysInList: (now - new Date(flow.enteredListAt)) / DAY_MS, daysStarted: flow.startedAt ? (now - new Date(flow.startedAt)) / DAY_MS : null
+  })).map(item => ({ ...item, isAging: cycleP85 !== null && item.daysStarted !== null && item.daysStarted > cycleP85 })).sort((a, b) => (b.daysStarted ?? 0) - (a.daysStarted ?? 0));
+  return {
+    lead: summarize(completed.map(flow => flow.leadDays).filter(days => days !== null)),
+    cycle: summarize(completed.map(flow => flow.cycleDays).filter(days => days !== null)),
+    throughput, cfd, agingWip
+  };
+};
+
+const isListFull = (list, count) => Boolean(list?.wipLimit) && count >= list.wipLimit;
+
+const DUE_FILTERS = { all: 'Any due date', overdue: 'Overdue', week: 'Due in the next 7 days', none: 'No due date' };
+
+const DEFAULT_FILTERS = { text: '', due: 'all', creator: '', list: '' };
+
+const URL_FILTER_PARAMS = { text: 'q', due: 'due', creator: 'creator', list: 'list' };
+
+const hasActiveFilters = filters => Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+const matchesDueFilter = (dueDate, due, now = new Date()) => {
+  if (due === 'none') return !dueDate;
+  if (!dueDate) return due === 'all';
+  if (due === 'overdue') return isOverdue(dueDate, now);
+  if (due === 'week') return !isOverdue(dueDate, now) && parseLocalDate(dueDate) <= addDays(startOfDay(now), 7);
+  return true;
+};
+
+const matchesFilters = (card, filters, now = new Date()) => {
+  const text = filters.text.trim().toLowerCase();
+  if (text && !`${card.title || ''}\n${card.description || ''}`.toLowerCase().includes(text)) return false;
+  if (filters.creator && card.createdBy !== filters.creator) return false;
+  return matchesDueFilter(card.dueDate, filters.due, now);
+};
+
+const KEYBOARD_MOVES = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+// Left and right step through the lists on screen, so a list filter never sends a card out of view.
+export const getKeyboardMove = (lists, filters, card, cardIndex, key) => {
+  const visibleLists = lists.filter(list => !filters.list || filters.list === list.id);
+  const listIndex = visibleLists.findIndex(list => list.id === card.listId);
+  const [listStep, indexStep] = KEYBOARD_MOVES[key];
+  const targetList = listIndex < 0 ? null : visibleLists[listIndex + listStep];
+  const index = cardIndex + indexStep;
+  return targetList && index >= 0 ? { listId: targetList.id, index } : null;
+};
+
+// Filters are shared through the URL alongside the board they apply to.
+const readUrlFilters = boardId => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('board') !== boardId) return DEFAULT_FILTERS;
+  return Object.fromEntries(Object.entries(URL_FILTER_PARAMS).map(([key, param]) => [key, params.get(param) ?? DEFAULT_FILTERS[key]]));
+};
+
+const writeUrlFilters = (boardId, filters) => {
+  const params = new URLSearchParams(window.location.search);
+  params.set('board', boardId);
+  Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => filters[key] === DEFAULT_FILTERS[key] ? params.delete(param) : params.set(param, filters[key]));
+  window.history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+};
+
+const highlightMatches = (text, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle || !text) return text;
+  const haystack = text.toLowerCase();
+  const parts = [];
+  let start = 0, index;
+  while ((index = haystack.indexOf(needle, start)) !== -1) {
+    parts.push(text.slice(start, index), <mark key={index} className="search-highlight">{text.slice(index, index + needle.length)}</mark>);
+    start = index + needle.length;
   }
-  return recs;
+  parts.push(text.slice(start));
+  return parts;
+};
+
+const getMatchSnippet = (text, query, radius = 30) => {
+  const index = (text || '').toLowerCase().indexOf(query.trim().toLowerCase());
+  if (!query.trim() || index === -1) return null;
+  const start = Math.max(0, index - radius), end = Math.min(text.length, index + query.trim().length + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+const PLACEHOLDER_CARD = { title: 'New Task', description: 'Add details here...' };
+
+const HEALTH_STALE_DAYS = 5;
+
+const HEALTH_DUE_SOON_DAYS = 2;
+
+const HEALTH_CHECKS = { overdue: 'Overdue', stale: 'Stalled', 'due-soon': 'Due soon but not started', placeholder: 'Placeholder cards' };
+
+const getRecommendationUpdates = (card, rec) => ({
+  date: () => ({ dueDate: rec.action }),
+  label: () => ({ labelIds: [...new Set([...(card.labelIds || []), rec.action])] }),
+  assignee: () => ({ assigneeIds: [...new Set([...(card.assigneeIds || []), rec.action])] }),
+  priority: () => ({ priority: rec.action })
+})[rec.type]?.() || {};
+
+const getLastUpdatedAt = (card, activity) => [card.createdAt, getListHistory(card).at(-1).enteredAt, ...activity.filter(entry => entry.cardId === card.id).map(entry => entry.timestamp)]
+  .filter(Boolean).sort().at(-1);
+
+// Fixes are recommendations, so they share dismissal, feedback and the engine's clock and settings.
+export const getBoardHealthIssues = (cards, lists, activity, feedbackStats, engine, settings) => {
+  const now = engine.now();
+  const fixes = { date: engine.isEnabled('date', settings), move: engine.isEnabled('move', settings) };
+  const doneListId = getDoneListId(lists);
+  const tomorrow = formatLocalDate(addDays(startOfDay(now), 1));
+  const issues = [];
+  cards.filter(card => card.listId !== doneListId).forEach(card => {
+    const listIndex = lists.findIndex(l => l.id === card.listId);
+    if (card.dueDate && isOverdue(card.dueDate, now)) {
+      const daysLate = getDayOffset(parseLocalDate(card.dueDate), now);
+      const rationale = `Due ${parseLocalDate(card.dueDate).toLocaleDateString()}, ${daysLate} day(s) ago.`;
+      issues.push({ check: 'overdue', card, key: 'health:overdue', rationale, rec: fixes.date ? { type: 'date', trigger: 'overdue', key: `date:overdue:${card.dueDate}`, text: `Suggest Due Date: ${tomorrow}`, action: tomorrow, rationale } : null });
+    }
+    const idleDays = Math.floor((now - new Date(getLastUpdatedAt(card, activity))) / DAY_MS);
+    if (listIndex > 0 && idleDays >= HEALTH_STALE_DAYS) {
+      const rationale = `No updates for ${idleDays} days in ${lists[listIndex].title}.`;
+      issues.push({ check: 'stale', card, key: 'health:stale', rationale, rec: fixes.move ? { type: 'move', trigger: 'stale', key: `move:stale:${lists[0].id}`, text: `Suggest Move: ${lists[0].title}`, action: lists[0].id, rationale } : null });
+    }
+    if (listIndex === 0 && lists.length > 2 && card.dueDate && !isOverdue(card.dueDate, now) && getDayOffset(now, parseLocalDate(card.dueDate)) <= HEALTH_DUE_SOON_DAYS) {
+      const rationale = `Due ${parseLocalDate(card.dueDate).toLocaleDateString()} and still in ${lists[0].title}.`;
+      issues.push({ check: 'due-soon', card, key: 'health:due-soon', rationale, rec: fixes.move ? { type: 'move', trigger: 'due-soon', key: `move:due-soon:${lists[1].id}`, text: `Suggest Move: ${lists[1].title}`, action: lists[1].id, rationale } : null });
+    }
+    if (card.title === PLACEHOLDER_CARD.title && card.description === PLACEHOLDER_CARD.description) {
+      issues.push({ check: 'placeholder', card, rec: null, key: 'health:placeholder', rationale: 'Still has the default title and description.' });
+    }
+  });
+  return issues.filter(issue => !issue.rec || applyRecommendationFeedback([issue.rec], issue.card, feedbackStats).length > 0)
+    .filter(issue => issue.rec || !(issue.card.dismissedRecs || []).includes(issue.key));
 };
 
-const CardModal = ({ card, lists, onClose, updateCard, allCards, userId, updateBoardMembers }) => {
+const BoardHealthDigest = ({ issues, readOnly, onOpenCard, onApply, onDismiss, onClose }) => (
+  <div className="board-panel">
+    <div className="recs-item-header">
+      <h3 className="board-panel-title">Board Digest</h3>
+      <button onClick={onClose} className="recs-dismiss-button" aria-label="Close digest">×</button>
+    </div>
+    {issues.length === 0 && (<p className="recs-none">Nothing needs attention right now.</p>)}
+    {Object.entries(HEALTH_CHECKS).map(([check, label]) => {
+      const checkIssues = issues.filter(issue => issue.check === check);
+      return checkIssues.length > 0 && (
+        <section key={check} className="digest-group">
+          <h4 className="input-label">{label} ({checkIssues.length})</h4>
+          {checkIssues.map(issue => (
+            <div key={`${issue.card.id}:${issue.check}`} className="digest-item">
+              <button onClick={() => onOpenCard(issue.card)} className="analytics-card-link">{issue.card.title}</button>
+              <span className="digest-rationale">{issue.rec?.rationale || issue.rationale}</span>
+              {!readOnly && issue.rec && (<button onClick={() => onApply(issue)} className="recs-action-button">{issue.rec.text}</button>)}
+              {!readOnly && (<button onClick={() => onDismiss(issue)} className="recs-dismiss-button" aria-label={`Dismiss for ${issue.card.title}`}>×</button>)}
+            </div>
+          ))}
+        </section>
+      );
+    })}
+  </div>
+);
+
+// Fields the modal edits as a draft; everything else on the card is written as soon as it changes.
+const CARD_EDIT_FIELDS = { title: 'Title', description: 'Description', dueDate: 'Due date', priority: 'Priority', labelIds: 'Labels', assigneeIds: 'Assignees', recurrence: 'Repeats' };
+
+const getEditSnapshot = card => ({
+  version: card.version || 0, title: card.title, description: card.description || '', dueDate: card.dueDate || '', priority: card.priority || null,
+  labelIds: card.labelIds || [], assigneeIds: card.assigneeIds || [], recurrence: card.recurrence || null
+});
+
+const formatEditValue = (field, value, labels, members) => {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return 'None';
+  if (field === 'dueDate') return parseLocalDate(value).toLocaleDateString();
+  if (field === 'priority') return PRIORITIES[value]?.label || value;
+  if (field === 'recurrence') return describeRecurrence(value);
+  if (field === 'labelIds') return value.map(id => labels.find(l => l.id === id)?.name || 'a removed label').join(', ');
+  if (field === 'assigneeIds') return value.map(id => members.find(m => m.id === id)?.label || id).join(', ');
+  return value;
+};
+
+const PRESENCE_HEARTBEAT_MS = 15000;
+const PRESENCE_TIMEOUT_MS = 45000;
+
+// Presence entries older than the timeout are ignored, so a closed tab drops out on its own.
+const useCardPresence = (storage, boardId, cardId, userId, isEditing) => {
+  const [entries, setEntries] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!storage) return;
+    return storage.subscribe('cardPresence', [['boardId', '==', boardId], ['cardId', '==', cardId]], setEntries, e => console.error('Error listening to card presence:', e));
+  }, [storage, boardId, cardId]);
+  useEffect(() => {
+    if (!storage) return;
+    const presenceId = `${cardId}_${userId}`;
+    const beat = () => {
+      setNow(Date.now());
+      if (isEditing) storage.set('cardPresence', presenceId, { boardId, cardId, userId, updatedAt: new Date().toISOString() }).catch(e => console.error('Error updating card presence:', e));
+    };
+    beat();
+    const timer = setInterval(beat, PRESENCE_HEARTBEAT_MS);
+    return () => {
+      clearInterval(timer);
+      if (isEditing) storage.remove('cardPresence', presenceId).catch(e => console.error('Error clearing card presence:', e));
+    };
+  }, [storage, boardId, cardId, userId, isEditing]);
+  return entries.filter(entry => entry.userId !== userId && now - new Date(entry.updatedAt).getTime() < PRESENCE_TIMEOUT_MS).map(entry => entry.userId);
+};
+
+const CardModal = ({ card, board, storage, lists, onClose, onOpenCard, updateCard, applyRecommendation, mergeCards, linkCards, unlinkCards, promoteChecklistItem, splitCard, allCards, userId, readOnly, recommendationEngine, recommenderSettings, feedbackStats, recordRecFeedback, dismissRec, activityBatches, undoableBatchIds, undoActivity }) => {
   const [title, setTitle] = useState(card.title);
   const [description, setDescription] = useState(card.description || '');
   const [dueDate, setDueDate] = useState(card.dueDate || '');
-  const [newMemberEmail, setNewMemberEmail] = useState('');
-  const recs = useMemo(() => getSmartRecommendations(card, allCards), [card, allCards]);
-  const handleSave = () => { updateCard(card.id, { title, description, dueDate }); onClose(); };
-  const handleApplyRec = rec => {
-    if (rec.type === 'date') {
-      setDueDate(rec.action);
-      updateCard(card.id, { dueDate: rec.action });
-    } else if (rec.type === 'move') {
-      const newList = lists.find(l => l.title === rec.action);
-      if (newList) updateCard(card.id, { listId: newList.id });
+  const [priority, setPriority] = useState(card.priority || '');
+  const [labelIds, setLabelIds] = useState(card.labelIds || []);
+  const [assigneeIds, setAssigneeIds] = useState(card.assigneeIds || []);
+  const [recurrence, setRecurrence] = useState(card.recurrence || null);
+  const [linkTargetId, setLinkTargetId] = useState('');
+  const [linkType, setLinkType] = useState('relates');
+  const [linkError, setLinkError] = useState('');
+  const [conflicts, setConflicts] = useState(null);
+  const [saveError, setSaveError] = useState('');
+  const liveCard = allCards.find(c => c.id === card.id) || card;
+  const [base, setBase] = useState(() => getEditSnapshot(liveCard));
+  const draft = { title, description, dueDate, priority: priority || null, labelIds, assigneeIds, recurrence };
+  const setters = { title: setTitle, description: setDescription, dueDate: setDueDate, priority: value => setPriority(value || ''), labelIds: setLabelIds, assigneeIds: setAssigneeIds, recurrence: setRecurrence };
+  const otherEditors = useCardPresence(storage, board.id, card.id, userId, !readOnly);
+  const linkedCards = (liveCard.links || []).map(link => ({ ...link, card: allCards.find(c => c.id === link.cardId) })).filter(link => link.card);
+  const linkCandidates = allCards.filter(c => c.id !== card.id && !linkedCards.some(link => link.cardId === c.id));
+  const boardLabels = useMemo(() => board.labels || [], [board.labels]);
+  const members = useMemo(() => getBoardMembers(board), [board]);
+  // Remote edits flow into untouched fields; fields edited on both sides keep their base for the merge.
+  useEffect(() => {
+    const live = getEditSnapshot(liveCard);
+    if (live.version === base.version) return;
+    const incoming = Object.keys(CARD_EDIT_FIELDS).filter(field => !isSameValue(live[field], base[field]));
+    const settled = incoming.filter(field => isSameValue(draft[field], base[field]) || isSameValue(draft[field], live[field]));
+    if (settled.length === 0) return;
+    settled.filter(field => isSameValue(draft[field], base[field])).forEach(field => setters[field](live[field]));
+    setBase(current => ({ ...current, ...Object.fromEntries(settled.map(field => [field, live[field]])), version: settled.length === incoming.length ? live.version : current.version }));
+  }, [liveCard, base, title, description, dueDate, priority, labelIds, assigneeIds, recurrence]);
+  const recs = useMemo(() => recommendationEngine.getRecommendations(liveCard, { allCards, lists, labels: boardLabels, members, feedbackStats, settings: recommenderSettings }),
+    [recommendationEngine, liveCard, allCards, lists, boardLabels, members, feedbackStats, recommenderSettings]);
+  const toggleAssignee = memberId => setAssigneeIds(current => current.includes(memberId) ? current.filter(id => id !== memberId) : [...current, memberId]);
+  const changeFrequency = frequency => {
+    const base = dueDate ? parseLocalDate(dueDate) : new Date();
+    setRecurrence(!frequency ? null : frequency === 'weekly' ? { frequency, weekdays: [base.getDay()] } : frequency === 'monthly' ? { frequency, dayOfMonth: base.getDate() } : { frequency });
+  };
+  const toggleWeekday = day => setRecurrence(current => {
+    const weekdays = current.weekdays.includes(day) ? current.weekdays.filter(d => d !== day) : [...current.weekdays, day].sort();
+    return weekdays.length > 0 ? { ...current, weekdays } : current;
+  });
+  const toggleLabel = labelId => setLabelIds(current => current.includes(labelId) ? current.filter(id => id !== labelId) : [...current, labelId]);
+  // Only fields the user changed are written, so a save never reverts someone else's edit to another field.
+  const handleSave = async (choices = {}) => {
+    setSaveError('');
+    const live = getEditSnapshot(liveCard);
+    const changed = Object.keys(CARD_EDIT_FIELDS).filter(field => !isSameValue(draft[field], base[field]) && !isSameValue(draft[field], live[field]));
+    const unresolved = changed.filter(field => !isSameValue(live[field], base[field]) && !choices[field]);
+    if (unresolved.length > 0) {
+      setConflicts({ fields: unresolved.map(field => ({ field, mine: draft[field], theirs: live[field] })), choices: Object.fromEntries(unresolved.map(field => [field, 'mine'])) });
+      return;
     }
+    const updates = Object.fromEntries(changed.filter(field => choices[field] !== 'theirs').map(field => [field, draft[field]]));
+    // A save that lost a race against another editor stays open; saving again offers the merge.
+    if (Object.keys(updates).length > 0 && !(await updateCard(card.id, updates, { expectedVersion: live.version }))) {
+      setConflicts(null);
+      setSaveError('Your changes were not saved. Check for newer edits and save again.');
+      return;
+    }
+    onClose();
+  };
+  const chooseVersion = (field, choice) => setConflicts(current => ({ ...current, choices: { ...current.choices, [field]: choice } }));
+  const saveMerged = () => {
+    conflicts.fields.filter(({ field }) => conflicts.choices[field] === 'theirs').forEach(({ field, theirs }) => setters[field](theirs));
+    handleSave(conflicts.choices);
   };
-  const handleInvite = () => {
-    if (newMemberEmail && newMemberEmail !== card.board.ownerEmail) {
-      updateBoardMembers(newMemberEmail);
-      setNewMemberEmail('');
+  const saveChecklist = items => updateCard(card.id, { checklist: items });
+  const handleApplyRec = (rec, option) => {
+    if (rec.type === 'split') {
+      const remaining = removeStepLines(description, rec.steps);
+      setDescription(remaining);
+      if (option === 'cards') splitCard(liveCard, rec.steps, remaining);
+      else updateCard(card.id, { description: remaining, checklist: [...(liveCard.checklist || []), ...rec.steps.map(step => ({ id: generateId('item'), text: step.text, done: step.done }))] }, { source: 'recommendation' });
+    } else if (rec.type === 'duplicate') {
+      if (!window.confirm(`Merge "${rec.card.title}" into this card? "${rec.card.title}" will be deleted.`)) return;
+      const otherDescription = rec.card.description || '';
+      const mergedDescription = !otherDescription || description.includes(otherDescription) ? description : [description, otherDescription].filter(Boolean).join('\n\n');
+      const mergedDueDate = [dueDate, rec.card.dueDate].filter(Boolean).sort()[0] || '';
+      setDescription(mergedDescription);
+      setDueDate(mergedDueDate);
+      mergeCards(card.id, rec.card.id, { description: mergedDescription, dueDate: mergedDueDate });
+    } else {
+      const draft = { ...liveCard, listId: liveCard.listId || card.listId, labelIds, assigneeIds };
+      const updates = getRecommendationUpdates(draft, rec);
+      if ('dueDate' in updates) setDueDate(updates.dueDate);
+      if ('priority' in updates) setPriority(updates.priority);
+      if (updates.labelIds) setLabelIds(updates.labelIds);
+      if (updates.assigneeIds) setAssigneeIds(updates.assigneeIds);
+      applyRecommendation(draft, rec);
     }
+    recordRecFeedback(liveCard, rec, 'accepted');
+  };
+  const handleLink = (targetId, type) => {
+    const error = getLinkError(card.id, targetId, type, allCards);
+    setLinkError(error || '');
+    if (error) return false;
+    linkCards(card.id, targetId, type);
+    return true;
+  };
+  const handleAddLink = () => {
+    if (linkTargetId && handleLink(linkTargetId, linkType)) setLinkTargetId('');
   };
   return (
     <div className="modal-overlay">
@@ -124,270 +1351,2644 @@ const CardModal = ({ card, lists, onClose, updateCard, allCards, userId, updateB
         <button onClick={onClose} className="modal-close-btn"><svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg></button>
         <div className="card-details-left">
           <h2 className="card-details-title">Task Details</h2>
-          <input type="text" className="card-title-input" value={title} onChange={e => setTitle(e.target.value)} />
+          {otherEditors.length > 0 && (<p className="presence-banner" role="status">{otherEditors.map(id => members.find(m => m.id === id)?.label || 'A teammate').join(', ')} {otherEditors.length === 1 ? 'is' : 'are'} also editing this card.</p>)}
+          <input type="text" className="card-title-input" value={title} readOnly={readOnly} onChange={e => setTitle(e.target.value)} />
           <div className="input-group">
             <label className="input-label">Description</label>
-            <textarea className="card-description-input" placeholder="Add a detailed description..." value={description} onChange={e => setDescription(e.target.value)}></textarea>
+            <textarea className="card-description-input" placeholder="Add a detailed description..." value={description} readOnly={readOnly} onChange={e => setDescription(e.target.value)}></textarea>
           </div>
           <div className="input-flex">
             <label className="input-label">Due Date</label>
-            <input type="date" className="date-input" value={dueDate} onChange={e => setDueDate(e.target.value)} />
+            <input type="date" className="date-input" value={dueDate} disabled={readOnly} onChange={e => setDueDate(e.target.value)} />
           </div>
-          <div className="pt-4"><button onClick={handleSave} className="save-button">Save Changes</button></div>
-        </div>
-        <div className="recommendations-panel">
-          <h3 className="panel-subtitle-collab">Collaborators</h3>
-          <p className="panel-text">Board ID:<span className="mono-id">{card.board.id}</span></p>
-          <p className="panel-text">Your User ID:<span className="mono-id">{userId}</span></p>
-          <div className="invite-form">
-            <input type="email" placeholder="Invite user email" className="invite-input" value={newMemberEmail} onChange={e => setNewMemberEmail(e.target.value)} />
-            <button onClick={handleInvite} className="invite-button">Invite to Board</button>
+          <div className="input-flex">
+            <label className="input-label">Priority</label>
+            <select className="date-input" value={priority} disabled={readOnly} onChange={e => setPriority(e.target.value)}>
+              <option value="">None</option>
+              {Object.entries(PRIORITIES).map(([value, { label }]) => (<option key={value} value={value}>{label}</option>))}
+            </select>
           </div>
-          <h3 className="panel-subtitle-recs">Smart Recommendations</h3>
-          <div className="recs-list">
-            {recs.length > 0 ? recs.map((rec, index) => (
-              <div key={index} className="recommendation-item">
-                <p className="recs-rationale">{rec.rationale}</p>
-                {rec.type === 'related' ? (<div className="related-cards-list">{rec.cards.map(rc => (<p key={rc.card.id} className="related-card-text">💡 {rc.card.title}({(rc.similarity * 100).toFixed(0)}%)</p>))}</div>) : (<button onClick={() => handleApplyRec(rec)} className="recs-action-button">{rec.text}</button>)}
+          <div className="input-flex">
+            <label className="input-label">Repeats</label>
+            <select className="date-input" value={recurrence?.frequency || ''} disabled={readOnly} onChange={e => changeFrequency(e.target.value)} aria-label="Repeats">
+              <option value="">Never</option>
+              {Object.entries(RECURRENCE_FREQUENCIES).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+            </select>
+            {recurrence?.frequency === 'monthly' && (
+              <input type="number" min="1" max="31" className="date-input recurrence-day-input" value={recurrence.dayOfMonth} disabled={readOnly} onChange={e => setRecurrence({ ...recurrence, dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })} aria-label="Day of month" />
+            )}
+          </div>
+          {recurrence?.frequency === 'weekly' && (
+            <div className="label-picker">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button key={label} onClick={() => toggleWeekday(day)} disabled={readOnly} aria-pressed={recurrence.weekdays.includes(day)} className={`assignee-chip ${recurrence.weekdays.includes(day) ? 'selected' : ''}`}>{label}</button>
+              ))}
+            </div>
+          )}
+          {recurrence && (<p className="panel-text">{describeRecurrence(recurrence)}. When this card is moved to {lists.at(-1)?.title}, the next one is added to {lists[0]?.title}.</p>)}
+          <div className="input-group">
+            <label className="input-label">Labels</label>
+            {boardLabels.length > 0 ? (
+              <div className="label-picker">
+                {boardLabels.map(label => (
+                  <button key={label.id} onClick={() => toggleLabel(label.id)} disabled={readOnly} aria-pressed={labelIds.includes(label.id)} className="label-chip" style={labelIds.includes(label.id) ? { backgroundColor: label.color, borderColor: label.color, color: '#fff' } : { borderColor: label.color, color: label.color }}>{label.name}</button>
+                ))}
               </div>
-            )) : (<p className="recs-none">No smart recommendations for this card right now.</p>)}
+            ) : (<p className="recs-none">This board has no labels yet.</p>)}
           </div>
-        </div>
+          <div className="input-group">
+            <label className="input-label">Assignees</label>
+            <div className="label-picker">
+              {members.map(member => (
+                <button key={member.id} onClick={() => toggleAssignee(member.id)} disabled={readOnly} aria-pressed={assigneeIds.includes(member.id)} className={`assignee-chip ${assigneeIds.includes(member.id) ? 'selected' : ''}`}>
+                  <span className="avatar" style={{ backgroundColor: getAvatarColor(member.id) }}>{getInitials(member.label)}</span>{member.id === userId ? 'Me' : member.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="input-group">
+            <label className="input-label">Checklist</label>
+            <ChecklistEditor items={liveCard.checklist || []} readOnly={readOnly} saveChecklist={saveChecklist} promoteItem={item => promoteChecklistItem(liveCard, item)} />
+          </div>
+          <div className="input-group">
+            <label className="input-label">Linked Cards</label>
+            {linkedCards.length > 0 ? linkedCards.map(link => (
+              <div key={link.cardId} className="linked-card-row">
+                <span className="linked-card-type">{LINK_TYPES[link.type]?.label || link.type}</span>
+                <button onClick={() => onOpenCard(link.card)} className="linked-card-title">{link.card.title}</button>
+                {link.type === 'blocked_by' && (<span className={`blocker-status ${link.card.listId === getDoneListId(lists) ? 'blocker-done' : 'blocker-open'}`}>{link.card.listId === getDoneListId(lists) ? 'done' : 'open'}</span>)}
+                {!readOnly && (<button onClick={() => unlinkCards(card.id, link.cardId)} className="unlink-button" aria-label={`Unlink ${link.card.title}`}>×</button>)}
+              </div>
+            )) : (<p className="recs-none">No linked cards.</p>)}
+            {!readOnly && linkCandidates.length > 0 && (
+              <div className="link-form">
+                <select className="link-select" value={linkType} onChange={e => setLinkType(e.target.value)}>
+                  {LINK_TYPE_OPTIONS.map(type => (<option key={type} value={type}>{LINK_TYPES[type].label}</option>))}
+                </select>
+                <select className="link-select" value={linkTargetId} onChange={e => setLinkTargetId(e.target.value)}>
+                  <option value="">Choose a card...</option>
+                  {linkCandidates.map(c => (<option key={c.id} value={c.id}>{c.title}</option>))}
+                </select>
+                <button onClick={handleAddLink} disabled={!linkTargetId} className="header-action-btn">Link</button>
+              </div>
+            )}
+            {linkError && (<p className="form-error">{linkError}</p>)}
+          </div>
+          <div className="input-group">
+            <label className="input-label">Comments</label>
+            <CommentThread card={liveCard} board={board} userId={userId} storage={storage} />
+          </div>
+          <div className="input-group">
+            <label className="input-label">History</label>
+            <ActivityFeed batches={activityBatches.filter(batch => batch.entries.some(e => e.cardId === card.id))} lists={lists} userId={userId} members={getBoardMembers(board)} undoableBatchIds={readOnly ? new Set() : undoableBatchIds} onUndo={undoActivity} />
+          </div>
+          {readOnly ? (<p className="panel-text">You have view-only access to this board.</p>) : conflicts ? (
+            <div className="merge-prompt" role="alertdialog" aria-label="Resolve conflicting edits">
+              <p className="panel-text">Someone else changed {conflicts.fields.length === 1 ? 'this field' : 'these fields'} while you were editing. Choose which version to keep.</p>
+              {conflicts.fields.map(({ field, mine, theirs }) => (
+                <fieldset key={field} className="merge-field">
+                  <legend className="input-label">{CARD_EDIT_FIELDS[field]}</legend>
+                  <label className="merge-option"><input type="radio" name={`merge-${field}`} checked={conflicts.choices[field] === 'mine'} onChange={() => chooseVersion(field, 'mine')} /> <span>Yours: <span className="merge-value">{formatEditValue(field, mine, boardLabels, members)}</span></span></label>
+                  <label className="merge-option"><input type="radio" name={`merge-${field}`} checked={conflicts.choices[field] === 'theirs'} onChange={() => chooseVersion(field, 'theirs')} /> <span>Theirs: <span className="merge-value">{formatEditValue(field, theirs, boardLabels, members)}</span></span></label>
+                </fieldset>
+              ))}
+              <div className="merge-actions">
+                <button onClick={saveMerged} className="save-button">Save Merged Changes</button>
+                <button onClick={() => setConflicts(null)} className="header-action-btn">Keep Editing</button>
+              </div>
+            </div>
+          ) : (
+            <div className="pt-4">
+              <button onClick={() => handleSave()} className="save-button">Save Changes</button>
+              {saveError && (<p className="form-error">{saveError}</p>)}
+            </div>
+          )}
+        </div>
+        <div className="recommendations-panel">
+          <h3 className="panel-subtitle-collab">Collaborators</h3>
+          <p className="panel-text">Board ID:<span className="mono-id">{board.id}</span></p>
+          <p className="panel-text">Your User ID:<span className="mono-id">{userId}</span></p>
+          <p className="panel-text">Your role: {ROLE_LABELS[getMemberRole(board, userId)] || 'None'}</p>
+          <p className="panel-text">Members: {getBoardMembers(board).map(m => m.label).join(', ')}</p>
+          <h3 className="panel-subtitle-recs">Smart Recommendations</h3>
+          <div className="recs-list">
+            {recs.length > 0 ? recs.map(rec => (
+              <div key={rec.key} className="recommendation-item">
+                <div className="recs-item-header">
+                  <p className="recs-rationale">{rec.rationale}</p>
+                  {!readOnly && (<button onClick={() => dismissRec(liveCard, rec)} className="recs-dismiss-button" aria-label="Dismiss recommendation">×</button>)}
+                </div>
+                <p className="recs-confidence">Confidence {(rec.confidence * 100).toFixed(0)}%</p>
+                {rec.type === 'related' ? (
+                  <div className="related-cards-list">
+                    {rec.cards.map(rc => (
+                      <div key={rc.card.id} className="related-card-row">
+                        <button onClick={() => onOpenCard(rc.card)} className="related-card-text">💡 {rc.card.title}({(rc.similarity * 100).toFixed(0)}%)</button>
+                        {!readOnly && !linkedCards.some(link => link.cardId === rc.card.id) && (
+                          <select className="link-select" value="" onChange={e => handleLink(rc.card.id, e.target.value) && recordRecFeedback(liveCard, rec, 'accepted')} aria-label={`Link ${rc.card.title}`}>
+                            <option value="" disabled>Link</option>
+                            {LINK_TYPE_OPTIONS.map(type => (<option key={type} value={type}>{LINK_TYPES[type].label}</option>))}
+                          </select>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : rec.type === 'split' ? (
+                  <div className="dialog-actions">
+                    <button onClick={() => handleApplyRec(rec, 'checklist')} disabled={readOnly} className="recs-action-button">Add as checklist</button>
+                    <button onClick={() => handleApplyRec(rec, 'cards')} disabled={readOnly} className="recs-action-button">Split into {rec.steps.length} linked cards</button>
+                  </div>
+                ) : (<button onClick={() => handleApplyRec(rec)} disabled={readOnly} className="recs-action-button">{rec.text}</button>)}
+              </div>
+            )) : (<p className="recs-none">No smart recommendations for this card right now.</p>)}
+          </div>
+        </div>
       </div>
     </div>
   );
 };
 
-const BoardView = ({ board, cards, lists, userId, db, appId }) => {
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const [selectedCard, setSelectedCard] = useState(null);
-  const getDocRef = useCallback((collectionName, docId) => doc(db, 'artifacts', appId, 'public/data', collectionName, docId), [db, appId]);
-  const updateCard = useCallback(async (cardId, updates) => {
-    if (!db) return;
-    try { await updateDoc(getDocRef('cards', cardId), updates); } catch (e) { console.error('Error updating card:', e); }
-  }, [db, getDocRef]);
-  const updateBoardMembers = useCallback(async email => {
-    if (!db) return;
-    try {
-      const boardRef = getDocRef('boards', board.id);
-      await updateDoc(boardRef, { members: [...(board.members || []), email] });
-    } catch (e) { console.error('Error inviting user:', e); }
-  }, [db, board, getDocRef]);
-  const handleCardClick = card => {
-    setSelectedCard({ ...card, board: { id: board.id, ownerEmail: board.ownerEmail } });
-    setIsModalOpen(true);
+const MentionInput = ({ value, onChange, onSubmit, members, placeholder, submitLabel, onCancel }) => {
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [highlightIndex, setHighlightIndex] = useState(0);
+  const textareaRef = useRef(null);
+  const suggestions = mentionQuery === null ? [] : members.filter(m => m.label.toLowerCase().includes(mentionQuery.toLowerCase())).slice(0, 5);
+  const handleChange = e => {
+    onChange(e.target.value);
+    const match = e.target.value.slice(0, e.target.selectionStart).match(/(?:^|\s)@(\S*)$/);
+    setMentionQuery(match ? match[1] : null);
+    setHighlightIndex(0);
+  };
+  const insertMention = member => {
+    const caret = textareaRef.current.selectionStart;
+    const before = value.slice(0, caret).replace(/@(\S*)$/, `@${member.label} `);
+    onChange(before + value.slice(caret));
+    setMentionQuery(null);
+    textareaRef.current.focus();
   };
-  const addCard = async listId => {
-    if (!db || !userId) return;
+  const handleKeyDown = e => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlightIndex(index => (index + (e.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[highlightIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMentionQuery(null);
+        return;
+      }
+    }
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) onSubmit();
+  };
+  return (
+    <div className="mention-input">
+      <textarea ref={textareaRef} className="comment-input" placeholder={placeholder} value={value} onChange={handleChange} onKeyDown={handleKeyDown}></textarea>
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox">
+          {suggestions.map((member, index) => (
+            <li key={member.id} role="option" aria-selected={index === highlightIndex} className={index === highlightIndex ? 'highlighted' : ''} onMouseDown={e => { e.preventDefault(); insertMention(member); }}>@{member.label}</li>
+          ))}
+        </ul>
+      )}
+      <div className="dialog-actions">
+        <button onClick={onSubmit} disabled={!value.trim()} className="header-action-btn">{submitLabel}</button>
+        {onCancel && (<button onClick={onCancel} className="header-action-btn">Cancel</button>)}
+      </div>
+    </div>
+  );
+};
+
+const CommentThread = ({ card, board, userId, storage }) => {
+  const [comments, setComments] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const members = useMemo(() => getBoardMembers(board), [board]);
+  useEffect(() => {
+    if (!storage) return;
+    return storage.subscribe('comments', [['boardId', '==', board.id], ['cardId', '==', card.id]], fetched => {
+      setComments([...fetched].sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+    }, e => console.error('Error listening to comments:', e));
+  }, [storage, board.id, card.id]);
+  const authorLabel = authorId => authorId === userId ? 'You' : members.find(m => m.id === authorId)?.label || authorId;
+  const handleAdd = async () => {
+    const text = draft.trim();
+    if (!text || !storage) return;
     try {
-      await addDoc(collection(db, 'artifacts', appId, 'public/data/cards'), {
-        title: 'New Task', description: 'Add details here...', boardId: board.id, listId, createdBy: userId, createdAt: new Date().toISOString()
+      await storage.add('comments', {
+        boardId: board.id, boardName: board.name, cardId: card.id, cardTitle: card.title, authorId: userId, text, mentions: extractMentions(text, members), createdAt: new Date().toISOString()
       });
-    } catch (e) { console.error('Error adding card:', e); }
+      setDraft('');
+    } catch (e) { console.error('Error adding comment:', e); }
   };
-  if (!board) return <div className="board-placeholder">Select or Create a Board to get started.</div>;
+  const handleEdit = async comment => {
+    const text = editDraft.trim();
+    if (!text) return;
+    try {
+      await storage.update('comments', comment.id, { text, mentions: extractMentions(text, members), editedAt: new Date().toISOString() });
+      setEditingId(null);
+    } catch (e) { console.error('Error editing comment:', e); }
+  };
+  const handleDelete = async comment => {
+    if (!window.confirm('Delete this comment?')) return;
+    try { await storage.remove('comments', comment.id); } catch (e) { console.error('Error deleting comment:', e); }
+  };
+  return (
+    <div className="comment-thread">
+      {comments.map(comment => (
+        <div key={comment.id} className="comment-item">
+          <div className="activity-meta">
+            <span className="activity-actor">{authorLabel(comment.authorId)}</span>
+            {comment.automationName && (<span className="activity-source"> (automation: {comment.automationName})</span>)}
+            <span>{new Date(comment.createdAt).toLocaleString()}{comment.editedAt ? ' (edited)' : ''}</span>
+          </div>
+          {editingId === comment.id ? (
+            <MentionInput value={editDraft} onChange={setEditDraft} onSubmit={() => handleEdit(comment)} onCancel={() => setEditingId(null)} members={members} submitLabel="Save" />
+          ) : (
+            <p className="comment-text">{renderCommentText(comment.text)}</p>
+          )}
+          {comment.authorId === userId && editingId !== comment.id && (
+            <div className="comment-actions">
+              <button onClick={() => { setEditingId(comment.id); setEditDraft(comment.text); }} className="activity-undo-button">Edit</button>
+              <button onClick={() => handleDelete(comment)} className="activity-undo-button">Delete</button>
+            </div>
+          )}
+        </div>
+      ))}
+      <MentionInput value={draft} onChange={setDraft} onSubmit={handleAdd} members={members} placeholder="Write a comment... Type @ to mention someone." submitLabel="Comment" />
+    </div>
+  );
+};
+
+const MentionsMenu = ({ mentions, boards, onOpen }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const sorted = [...mentions].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return (
+    <div className="mentions-menu">
+      <button onClick={() => setIsOpen(open => !open)} className="header-action-btn">@ Mentions ({mentions.length})</button>
+      {isOpen && (
+        <div className="mentions-dropdown">
+          {sorted.length > 0 ? sorted.map(comment => (
+            <button key={comment.id} onClick={() => { onOpen(comment); setIsOpen(false); }} className="mention-entry">
+              <span className="mention-entry-title">{boards.find(b => b.id === comment.boardId)?.name || comment.boardName} · {comment.cardTitle}</span>
+              <span className="mention-entry-text">{comment.text}</span>
+            </button>
+          )) : (<p className="recs-none">Nobody has mentioned you yet.</p>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ActivityFeed = ({ batches, lists, userId, members, undoableBatchIds, onUndo }) => {
+  const [undoMessage, setUndoMessage] = useState('');
+  const handleUndo = async batch => {
+    try {
+      setUndoMessage(await onUndo(batch));
+    } catch (e) {
+      console.error('Error undoing change:', e);
+      setUndoMessage('Could not undo that change. Try again.');
+    }
+  };
+  if (batches.length === 0) return <p className="recs-none">No activity yet.</p>;
+  return (
+    <div className="activity-feed">
+      {undoMessage && (<p className="panel-text">{undoMessage}</p>)}
+      {batches.map(batch => ({ batch, visibleEntries: batch.entries.filter(e => e.field !== 'position') })).map(({ batch, visibleEntries }) => (
+        <div key={batch.id} className={`activity-item ${batch.entries.some(e => e.undoneBy) ? 'activity-undone' : ''}`}>
+          <p className="activity-text">
+            <span className="activity-actor">{batch.actorId === userId ? 'You' : members.find(m => m.id === batch.actorId)?.label || batch.actorId}</span>{' '}
+            {(visibleEntries.length > 0 ? visibleEntries : batch.entries.slice(0, 1)).map(e => describeActivityEntry(e, lists)).join('; ')}
+            {batch.source !== 'manual' && (<span className="activity-source"> ({batch.source})</span>)}
+          </p>
+          <div className="activity-meta">
+            <span>{new Date(batch.timestamp).toLocaleString()}</span>
+            {undoableBatchIds.has(batch.id) && (<button onClick={() => handleUndo(batch)} className="activity-undo-button">Undo</button>)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const BoardFilterBar = ({ filters, setFilters, lists, creators, matchCount, totalCount }) => {
+  const setFilter = (key, value) => setFilters(current => ({ ...current, [key]: value }));
+  return (
+    <div className="filter-bar" role="search">
+      <input type="search" className="filter-input" placeholder="Search cards..." aria-label="Search cards" value={filters.text} onChange={e => setFilter('text', e.target.value)} />
+      <select className="filter-select" aria-label="Filter by due date" value={filters.due} onChange={e => setFilter('due', e.target.value)}>
+        {Object.entries(DUE_FILTERS).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}
+      </select>
+      <select className="filter-select" aria-label="Filter by creator" value={filters.creator} onChange={e => setFilter('creator', e.target.value)}>
+        <option value="">Anyone</option>
+        {creators.map(creator => (<option key={creator.id} value={creator.id}>{creator.label}</option>))}
+      </select>
+      <select className="filter-select" aria-label="Filter by list" value={filters.list} onChange={e => setFilter('list', e.target.value)}>
+        <option value="">All lists</option>
+        {lists.map(list => (<option key={list.id} value={list.id}>{list.title}</option>))}
+      </select>
+      {hasActiveFilters(filters) && (
+        <>
+          <span className="filter-count">{matchCount} of {totalCount} cards</span>
+          <button onClick={() => setFilters(DEFAULT_FILTERS)} className="filter-clear-button">Clear filters</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const useDueDateDrag = (cards, canEdit, onReschedule) => {
+  const [draggedCardId, setDraggedCardId] = useState(null);
+  const [dropDate, setDropDate] = useState(null);
+  const endDrag = () => {
+    setDraggedCardId(null);
+    setDropDate(null);
+  };
+  const cardProps = card => canEdit ? {
+    draggable: true,
+    onDragStart: e => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', card.id);
+      setDraggedCardId(card.id);
+    },
+    onDragEnd: endDrag,
+    onKeyDown: e => {
+      const days = e.altKey && card.dueDate && { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+      if (!days) return;
+      e.preventDefault();
+      onReschedule(card, formatLocalDate(addDays(parseLocalDate(card.dueDate), days)));
+    }
+  } : {};
+  const dayProps = date => canEdit ? {
+    onDragOver: e => {
+      if (!draggedCardId) return;
+      e.preventDefault();
+      if (dropDate !== date) setDropDate(date);
+    },
+    onDrop: e => {
+      e.preventDefault();
+      const card = cards.find(c => c.id === draggedCardId);
+      if (card && card.dueDate !== date) onReschedule(card, date);
+      endDrag();
+    }
+  } : {};
+  return { draggedCardId, dropDate, cardProps, dayProps };
+};
+
+const BoardCalendar = ({ cards, lists, canEdit, onOpen, onReschedule }) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const { draggedCardId, dropDate, cardProps, dayProps } = useDueDateDrag(cards, canEdit, onReschedule);
+  const today = formatLocalDate(new Date());
+  const days = getCalendarDays(anchor, mode);
+  const cardsByDate = groupCardsByDueDate(cards);
+  const undated = cards.filter(card => !card.dueDate);
+  const doneListId = getDoneListId(lists);
+  const title = mode === 'month' ? anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }) : `${days[0].toLocaleDateString()} – ${days.at(-1).toLocaleDateString()}`;
+  const renderCard = card => (
+    <button key={card.id} {...cardProps(card)} onClick={() => onOpen(card)} className={`calendar-card ${card.listId === doneListId ? 'done' : card.dueDate && isOverdue(card.dueDate) ? 'due-late' : ''} ${draggedCardId === card.id ? 'dragging' : ''}`} style={PRIORITIES[card.priority] ? { borderLeftColor: PRIORITIES[card.priority].color } : undefined}>{card.title}</button>
+  );
+  return (
+    <div className="calendar-view">
+      <div className="calendar-toolbar">
+        <button onClick={() => setAnchor(shiftCalendarAnchor(anchor, mode, -1))} className="header-action-btn" aria-label={`Previous ${mode}`}>‹</button>
+        <button onClick={() => setAnchor(startOfDay(new Date()))} className="header-action-btn">Today</button>
+        <button onClick={() => setAnchor(shiftCalendarAnchor(anchor, mode, 1))} className="header-action-btn" aria-label={`Next ${mode}`}>›</button>
+        <h3 className="calendar-title">{title}</h3>
+        {Object.entries(CALENDAR_MODES).map(([value, label]) => (
+          <button key={value} onClick={() => setMode(value)} className={`layout-button ${mode === value ? 'active' : ''}`} aria-pressed={mode === value}>{label}</button>
+        ))}
+      </div>
+      <div className="calendar-body">
+        <div className={`calendar-grid ${mode}`}>
+          {days.slice(0, 7).map(day => (<div key={day.getDay()} className="calendar-weekday">{day.toLocaleDateString(undefined, { weekday: 'short' })}</div>))}
+          {days.map(day => {
+            const date = formatLocalDate(day);
+            return (
+              <div key={date} {...dayProps(date)} className={`calendar-day ${mode === 'month' && day.getMonth() !== anchor.getMonth() ? 'outside' : ''} ${date === today ? 'today' : ''} ${dropDate === date ? 'drag-over' : ''}`} aria-label={day.toLocaleDateString()}>
+                <span className="calendar-day-number">{day.getDate()}</span>
+                {(cardsByDate[date] || []).map(renderCard)}
+              </div>
+            );
+          })}
+        </div>
+        <div className="calendar-undated">
+          <h4 className="input-label">No due date ({undated.length})</h4>
+          {undated.map(renderCard)}
+        </div>
+      </div>
+      {canEdit && (<p className="panel-text">Drag a card onto a day to change its due date, or hold Alt and use the arrow keys.</p>)}
+    </div>
+  );
+};
+
+const BoardTimeline = ({ cards, lists, canEdit, onOpen, onReschedule }) => {
+  const [rangeStart, setRangeStart] = useState(() => addDays(startOfWeek(new Date()), -7));
+  const { draggedCardId, dropDate, cardProps, dayProps } = useDueDateDrag(cards, canEdit, onReschedule);
+  const today = formatLocalDate(new Date());
+  const days = Array.from({ length: TIMELINE_DAYS }, (_, index) => addDays(rangeStart, index));
+  const columns = { gridTemplateColumns: `12rem repeat(${TIMELINE_DAYS}, minmax(1.75rem, 1fr))` };
+  const dated = cards.filter(card => card.dueDate);
+  const groups = lists.map(list => ({
+    list, rows: dated.filter(card => card.listId === list.id).sort((a, b) => a.dueDate.localeCompare(b.dueDate)).map(card => ({ card, span: getTimelineSpan(card, rangeStart, TIMELINE_DAYS) })).filter(row => row.span)
+  })).filter(group => group.rows.length > 0);
+  const outsideCount = dated.length - groups.reduce((sum, group) => sum + group.rows.length, 0);
+  return (
+    <div className="calendar-view">
+      <div className="calendar-toolbar">
+        <button onClick={() => setRangeStart(addDays(rangeStart, -7))} className="header-action-btn" aria-label="Previous week">‹</button>
+        <button onClick={() => setRangeStart(addDays(startOfWeek(new Date()), -7))} className="header-action-btn">Today</button>
+        <button onClick={() => setRangeStart(addDays(rangeStart, 7))} className="header-action-btn" aria-label="Next week">›</button>
+        <h3 className="calendar-title">{days[0].toLocaleDateString()} – {days.at(-1).toLocaleDateString()}</h3>
+      </div>
+      <div className="timeline-scroll">
+        <div className="timeline-row timeline-header" style={columns}>
+          <span />
+          {days.map(day => (<span key={day.getTime()} className={`timeline-day-label ${formatLocalDate(day) === today ? 'today' : ''}`}>{day.getDate()}</span>))}
+        </div>
+        {groups.map(({ list, rows }) => (
+          <React.Fragment key={list.id}>
+            <h4 className="timeline-list-title">{list.title}</h4>
+            {rows.map(({ card, span }) => (
+              <div key={card.id} className="timeline-row" style={columns}>
+                <button onClick={() => onOpen(card)} className="timeline-card-title" style={{ gridRow: 1, gridColumn: 1 }}>{card.title}</button>
+                {days.map((day, index) => {
+                  const date = formatLocalDate(day);
+                  return (<div key={date} {...dayProps(date)} className={`timeline-cell ${date === today ? 'today' : ''} ${dropDate === date && draggedCardId === card.id ? 'drag-over' : ''}`} style={{ gridRow: 1, gridColumn: index + 2 }} aria-label={day.toLocaleDateString()} />);
+                })}
+                <button {...cardProps(card)} onClick={() => onOpen(card)} className={`timeline-bar ${isOverdue(card.dueDate) && card.listId !== getDoneListId(lists) ? 'due-late' : ''} ${span.clippedStart ? 'clipped-start' : ''} ${span.clippedEnd ? 'clipped-end' : ''} ${draggedCardId === card.id ? 'dragging' : ''}`} style={{ gridRow: 1, gridColumn: `${span.start + 2} / ${span.end + 3}`, ...(PRIORITIES[card.priority] ? { backgroundColor: PRIORITIES[card.priority].color } : {}) }} aria-label={`${card.title}, due ${parseLocalDate(card.dueDate).toLocaleDateString()}`} />
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+        {groups.length === 0 && (<p className="card-list-status">No cards are due in this range.</p>)}
+      </div>
+      <p className="panel-text">
+        {outsideCount > 0 && `${outsideCount} dated card(s) fall outside this range. `}
+        {cards.length - dated.length > 0 && `${cards.length - dated.length} card(s) have no due date. `}
+        {canEdit && 'Drag a bar onto a day to change its due date.'}
+      </p>
+    </div>
+  );
+};
+
+const MyTasksView = ({ tasks, boards, onOpen }) => {
+  const [showCompleted, setShowCompleted] = useState(false);
+  const byUrgency = (a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') || getPriorityRank(b.priority) - getPriorityRank(a.priority);
+  const groups = boards.map(board => {
+    const lists = getBoardLists(board);
+    const boardTasks = tasks.filter(task => task.boardId === board.id && (showCompleted || task.listId !== getDoneListId(lists))).sort(byUrgency);
+    return { board, lists, tasks: boardTasks };
+  }).filter(group => group.tasks.length > 0);
   return (
     <div className="main-board-container">
       <header className="board-header">
-        <h1 className="board-title">{board.name}</h1>
-        <p className="board-info">Owner:{board.ownerEmail}|Members:{board.members?.join(', ')||'None'}</p>
+        <div className="board-header-row">
+          <div>
+            <h1 className="board-title">My Tasks</h1>
+            <p className="board-info">Cards assigned to you on all of your boards</p>
+          </div>
+          <label className="panel-text"><input type="checkbox" checked={showCompleted} onChange={e => setShowCompleted(e.target.checked)} /> Show completed</label>
+        </div>
       </header>
-      <div className="list-container">
-        {lists.map(list => (
-          <div key={list.id} className="list-column">
-            <h3 className="list-title">{list.title}</h3>
-            <div className="card-list-scroll">
-              {cards.filter(c => c.listId === list.id).map(card => (
-                <div key={card.id} className="task-card" onClick={() => handleCardClick({ ...card, listTitle: list.title })}>
-                  <p className="card-text">{card.title}</p>
-                  {card.dueDate && (<p className={`card-due-date ${new Date(card.dueDate) < new Date() ? 'due-late' : 'due-ok'}`}>Due:{new Date(card.dueDate).toLocaleDateString()}</p>)}
-                </div>
-              ))}
+      {groups.length === 0 && <p className="recs-none">Nothing is assigned to you.</p>}
+      {groups.map(({ board, lists, tasks: boardTasks }) => (
+        <section key={board.id} className="my-tasks-group">
+          <h2 className="board-panel-title">{board.name}</h2>
+          {boardTasks.map(task => (
+            <button key={task.id} onClick={() => onOpen(task)} className="my-task-row">
+              <span className="my-task-title">{task.title}</span>
+              <span className="my-task-meta">{lists.find(l => l.id === task.listId)?.title || lists[0]?.title}</span>
+              {PRIORITIES[task.priority] && (<span className="my-task-meta" style={{ color: PRIORITIES[task.priority].color }}>{PRIORITIES[task.priority].label}</span>)}
+              {task.dueDate && (<span className={`my-task-meta ${isOverdue(task.dueDate) ? 'due-late' : 'due-ok'}`}>Due {parseLocalDate(task.dueDate).toLocaleDateString()}</span>)}
+            </button>
+          ))}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+const BoardMembersPanel = ({ board, invites, userId, inviteMember, revokeInvite, changeRole, removeMember, transferOwnership }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [inviteError, setInviteError] = useState('');
+  const isOwner = getMemberRole(board, userId) === 'owner';
+  const members = getBoardMembers(board);
+  const pendingInvites = invites.filter(invite => invite.status === 'pending');
+  const handleInvite = async () => {
+    const normalized = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) return setInviteError('Enter a valid email address.');
+    if (members.some(m => m.label.toLowerCase() === normalized)) return setInviteError('That person is already a member.');
+    setInviteError('');
+    await inviteMember(normalized, role);
+    setEmail('');
+  };
+  return (
+    <div className="board-panel">
+      <h3 className="board-panel-title">Members</h3>
+      {members.map(member => (
+        <div key={member.id} className="member-row">
+          <span className="member-label">{member.label}{member.id === userId ? ' (you)' : ''}</span>
+          {isOwner && member.role !== 'owner' ? (
+            <select className="link-select" value={member.role} onChange={e => changeRole(member.id, e.target.value)} aria-label={`Role for ${member.label}`}>
+              <option value="editor">{ROLE_LABELS.editor}</option>
+              <option value="viewer">{ROLE_LABELS.viewer}</option>
+            </select>
+          ) : (<span className="member-role">{ROLE_LABELS[member.role]}</span>)}
+          {isOwner && member.role !== 'owner' && (<button onClick={() => transferOwnership(member.id)} className="activity-undo-button">Make owner</button>)}
+          {member.role !== 'owner' && (isOwner || member.id === userId) && (<button onClick={() => removeMember(member.id)} className="activity-undo-button">{member.id === userId ? 'Leave' : 'Remove'}</button>)}
+        </div>
+      ))}
+      {pendingInvites.length > 0 && (
+        <>
+          <p className="input-label">Pending invitations</p>
+          {pendingInvites.map(invite => (
+            <div key={invite.id} className="member-row">
+              <span className="member-label">{invite.email}</span>
+              <span className="member-role">{ROLE_LABELS[invite.role]}</span>
+              {isOwner && (<button onClick={() => revokeInvite(invite)} className="activity-undo-button">Revoke</button>)}
             </div>
-            <button onClick={() => addCard(list.id)} className="add-card-button">+ Add Card</button>
+          ))}
+        </>
+      )}
+      {isOwner && (
+        <div className="invite-form">
+          <input type="email" placeholder="Invite user email" className="invite-input" value={email} onChange={e => setEmail(e.target.value)} />
+          <select className="link-select" value={role} onChange={e => setRole(e.target.value)} aria-label="Role for invitation">
+            <option value="editor">{ROLE_LABELS.editor}</option>
+            <option value="viewer">{ROLE_LABELS.viewer}</option>
+          </select>
+          <button onClick={handleInvite} className="invite-button">Invite to Board</button>
+          {inviteError && (<p className="form-error">{inviteError}</p>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TemplateSaveForm = ({ defaultName, saveTemplate }) => {
+  const [name, setName] = useState(`${defaultName} template`);
+  const [status, setStatus] = useState('');
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    setStatus(await saveTemplate(name.trim()) ? `Saved "${name.trim()}". Pick it when creating a board.` : 'Could not save the template.');
+  };
+  return (
+    <div className="template-save-form">
+      <p className="panel-text">Save this board's lists, labels and cards as a template. Due dates are kept relative to today.</p>
+      <div className="list-add-form">
+        <input type="text" className="list-rename-input" aria-label="Template name" value={name} onChange={e => setName(e.target.value)} />
+        <button onClick={handleSave} disabled={!name.trim()} className="header-action-btn">Save as Template</button>
+      </div>
+      {status && (<p className="panel-text">{status}</p>)}
+    </div>
+  );
+};
+
+const BoardImport = ({ importBoard }) => {
+  const [preview, setPreview] = useState(null);
+  const [name, setName] = useState('');
+  const [importError, setImportError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const handleFile = async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseBoardImport(await file.text());
+      setPreview(parsed);
+      setName(parsed.name);
+      setImportError('');
+    } catch (err) {
+      setPreview(null);
+      setImportError(err.message);
+    }
+  };
+  const handleImport = async () => {
+    setIsImporting(true);
+    const imported = await importBoard(preview, name || preview.name);
+    setIsImporting(false);
+    if (!imported) return setImportError('Could not import the board. Try again.');
+    setPreview(null);
+    setImportError('');
+  };
+  return (
+    <div className="board-import">
+      <label className="import-label">
+        Import board (JSON or Trello)
+        <input type="file" accept=".json,application/json" onChange={handleFile} className="import-file-input" />
+      </label>
+      {importError && (<p className="form-error">{importError}</p>)}
+      {preview && (
+        <div className="import-preview">
+          <p className="panel-text">From {preview.source}: {preview.lists.length} list(s), {preview.labels.length} label(s), {preview.cards.length} card(s)</p>
+          <input type="text" className="board-input" aria-label="Imported board name" value={name} onChange={e => setName(e.target.value)} />
+          <ul className="import-lists">
+            {preview.lists.map(list => (<li key={list.id}>{list.title} ({preview.cards.filter(c => c.listId === list.id).length})</li>))}
+          </ul>
+          {preview.unmapped.length > 0 && (
+            <>
+              <p className="input-label">Not imported</p>
+              <ul className="import-report">
+                {preview.unmapped.map((note, index) => (<li key={index}>{note}</li>))}
+              </ul>
+            </>
+          )}
+          <div className="dialog-actions">
+            <button onClick={handleImport} disabled={isImporting} className="create-board-btn">{isImporting ? 'Importing...' : 'Import Board'}</button>
+            <button onClick={() => setPreview(null)} className="list-delete-btn">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const InvitationList = ({ invites, respondToInvite }) => (
+  <div className="invitation-list">
+    <h2 className="sidebar-title">Invitations</h2>
+    {invites.map(invite => (
+      <div key={invite.id} className="invitation-item">
+        <p className="panel-text"><strong>{invite.boardName}</strong> as {ROLE_LABELS[invite.role]}</p>
+        <div className="dialog-actions">
+          <button onClick={() => respondToInvite(invite, true)} className="header-action-btn">Accept</button>
+          <button onClick={() => respondToInvite(invite, false)} className="list-delete-btn">Decline</button>
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+const ProfileEmailForm = ({ profile, saveEmail }) => {
+  const [email, setEmail] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const handleSave = () => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) return;
+    saveEmail(normalizeEmail(email));
+    setIsEditing(false);
+  };
+  if (profile?.email && !isEditing) return (<button onClick={() => { setEmail(profile.email); setIsEditing(true); }} className="user-info">{profile.email}</button>);
+  return (
+    <div className="profile-form">
+      <input type="email" placeholder="Your email, to receive invites" className="profile-input" value={email} onChange={e => setEmail(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleSave()} />
+      <button onClick={handleSave} className="header-action-btn">Save</button>
+    </div>
+  );
+};
+
+const SyncIndicator = ({ status, onRetry, onDiscard }) => {
+  if (!status) return null;
+  const pending = status.writes.filter(write => write.status === 'pending').length;
+  const failed = status.writes.filter(write => write.status === 'failed').length;
+  const conflicted = status.writes.filter(write => write.conflict).length;
+  return (
+    <div className="sync-indicator" role="status">
+      <span className={`sync-dot ${status.online ? 'online' : 'offline'}`} aria-hidden="true"></span>
+      <span>{status.online ? 'Online' : 'Offline'}</span>
+      {pending > 0 && (<span className="sync-count">{pending} change(s) waiting to sync</span>)}
+      {failed > 0 && (
+        <>
+          <span className="sync-count sync-failed">{failed} change(s) failed to sync</span>
+          {conflicted > 0 && (<span className="sync-count">{conflicted} were changed by someone else; Retry keeps your version</span>)}
+          <button onClick={onRetry} className="header-action-btn">Retry</button>
+          <button onClick={onDiscard} className="header-action-btn">Discard</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const RecommenderSettingsRow = ({ recommender, settings, saveSettings, readOnly }) => {
+  const current = getRecommenderSettings(recommender, settings);
+  const save = updates => saveSettings({ ...settings, [recommender.type]: { ...settings[recommender.type], ...updates } });
+  const handleOption = (key, option, value) => {
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number === current[key]) return;
+    save({ [key]: Math.min(option.max, Math.max(option.min, number)) });
+  };
+  return (
+    <div className="recommender-row">
+      <label className="recommender-toggle"><input type="checkbox" checked={current.enabled} disabled={readOnly} onChange={e => save({ enabled: e.target.checked })} /> {recommender.label}</label>
+      {Object.entries(recommender.options).map(([key, option]) => (
+        <label key={key} className="recommender-option">{option.label}
+          <input key={current[key]} type="number" className="list-rename-input recommender-option-input" min={option.min} max={option.max} step={option.step} defaultValue={current[key]} disabled={readOnly || !current.enabled} onBlur={e => handleOption(key, option, e.target.value)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const RecommendationInsights = ({ feedbackStats, recommenders, settings, saveSettings, readOnly }) => {
+  const triggerStats = Object.values(feedbackStats);
+  const typeLabels = { ...REC_TYPE_LABELS, ...Object.fromEntries(recommenders.map(recommender => [recommender.type, recommender.label])) };
+  const typeStats = recommenders.map(({ type }) => triggerStats.filter(s => s.type === type).reduce((total, s) => ({
+    ...total, accepted: total.accepted + s.accepted, dismissed: total.dismissed + s.dismissed
+  }), { type, accepted: 0, dismissed: 0 }));
+  const suppressed = triggerStats.filter(isTriggerSuppressed);
+  const formatRate = s => s.accepted + s.dismissed > 0 ? `${((s.accepted / (s.accepted + s.dismissed)) * 100).toFixed(0)}%` : '—';
+  return (
+    <div className="board-panel">
+      <h3 className="board-panel-title">Recommendation Insights</h3>
+      <table className="insights-table">
+        <thead><tr><th>Type</th><th>Accepted</th><th>Dismissed</th><th>Acceptance</th></tr></thead>
+        <tbody>
+          {typeStats.map(s => (<tr key={s.type}><td>{typeLabels[s.type]}</td><td>{s.accepted}</td><td>{s.dismissed}</td><td>{formatRate(s)}</td></tr>))}
+        </tbody>
+      </table>
+      {suppressed.length > 0 && (<p className="panel-text">Hidden after repeated dismissals: {suppressed.map(s => `${typeLabels[s.type]} (${s.trigger})`).join(', ')}</p>)}
+      <h4 className="input-label">Recommenders on this board</h4>
+      {recommenders.map(recommender => (<RecommenderSettingsRow key={recommender.type} recommender={recommender} settings={settings} saveSettings={saveSettings} readOnly={readOnly} />))}
+    </div>
+  );
+};
+
+const formatDays = days => days === null ? '—' : days < 1 ? `${Math.round(days * 24)}h` : `${days.toFixed(1)}d`;
+
+const CumulativeFlowChart = ({ cfd, lists }) => {
+  const width = 600, height = 200;
+  const total = Math.max(1, ...cfd.map(point => Object.values(point.counts).reduce((sum, count) => sum + count, 0)));
+  const x = index => (index / Math.max(1, cfd.length - 1)) * width;
+  const y = count => height - (count / total) * height;
+  const stacked = [...lists].reverse();
+  const bands = stacked.map((list, layer) => {
+    const below = cfd.map(point => stacked.slice(0, layer).reduce((sum, l) => sum + point.counts[l.id], 0));
+    const above = cfd.map((point, index) => below[index] + point.counts[list.id]);
+    const points = [...above.map((count, index) => `${x(index)},${y(count)}`), ...below.map((count, index) => `${x(index)},${y(count)}`).reverse()];
+    return { list, points: points.join(' '), color: FLOW_COLORS[lists.indexOf(list) % FLOW_COLORS.length] };
+  });
+  return (
+    <div>
+      <svg className="flow-chart" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label="Cumulative flow diagram">
+        {bands.map(band => (<polygon key={band.list.id} points={band.points} fill={band.color} />))}
+      </svg>
+      <div className="flow-legend">
+        <span>{cfd[0].day.toLocaleDateString()}</span>
+        {lists.map((list, index) => (<span key={list.id}><span className="flow-swatch" style={{ backgroundColor: FLOW_COLORS[index % FLOW_COLORS.length] }} />{list.title}</span>))}
+        <span>{cfd.at(-1).day.toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const BoardAnalytics = ({ cards, lists, onOpenCard }) => {
+  const metrics = useMemo(() => getFlowMetrics(cards, lists), [cards, lists]);
+  const maxThroughput = Math.max(1, ...metrics.throughput.map(week => week.count));
+  return (
+    <div className="board-panel">
+      <h3 className="board-panel-title">Flow Analytics</h3>
+      <table className="insights-table">
+        <thead><tr><th>Measure</th><th>Median</th><th>85th percentile</th><th>Completed cards</th></tr></thead>
+        <tbody>
+          <tr><td>Lead time (created to done)</td><td>{formatDays(metrics.lead.median)}</td><td>{formatDays(metrics.lead.p85)}</td><td>{metrics.lead.count}</td></tr>
+          <tr><td>Cycle time (started to done)</td><td>{formatDays(metrics.cycle.median)}</td><td>{formatDays(metrics.cycle.p85)}</td><td>{metrics.cycle.count}</td></tr>
+        </tbody>
+      </table>
+      <h4 className="input-label analytics-heading">Weekly throughput</h4>
+      <div className="throughput-chart">
+        {metrics.throughput.map(week => (
+          <div key={week.start.getTime()} className="throughput-week" title={`Week of ${week.start.toLocaleDateString()}: ${week.count} completed`}>
+            <span className="throughput-count">{week.count}</span>
+            <div className="throughput-bar" style={{ height: `${(week.count / maxThroughput) * 100}%` }} />
+            <span className="throughput-label">{week.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
           </div>
         ))}
       </div>
-      {isModalOpen && selectedCard && (
-        <CardModal card={selectedCard} lists={lists} allCards={cards} onClose={() => setIsModalOpen(false)} updateCard={updateCard} userId={userId} updateBoardMembers={updateBoardMembers} />
+      <h4 className="input-label analytics-heading">Cumulative flow (last {CFD_DAYS} days)</h4>
+      <CumulativeFlowChart cfd={metrics.cfd} lists={lists} />
+      <h4 className="input-label analytics-heading">Aging work in progress</h4>
+      {metrics.agingWip.length === 0 ? (<p className="recs-none">No cards are in progress.</p>) : (
+        <table className="insights-table">
+          <thead><tr><th>Card</th><th>List</th><th>In list</th><th>Since started</th></tr></thead>
+          <tbody>
+            {metrics.agingWip.slice(0, AGING_WIP_LIMIT).map(item => (
+              <tr key={item.card.id} className={item.isAging ? 'aging' : ''}>
+                <td><button onClick={() => onOpenCard(item.card)} className="analytics-card-link">{item.card.title}</button></td>
+                <td>{lists.find(l => l.id === item.card.listId)?.title}</td>
+                <td>{formatDays(item.daysInList)}</td>
+                <td>{formatDays(item.daysStarted)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       )}
+      {metrics.agingWip.some(item => item.isAging) && (<p className="panel-text">Highlighted cards have been in progress longer than 85% of completed cards took.</p>)}
     </div>
   );
 };
 
-const App = () => {
-  const { db, userId, appId, isAuthReady } = useFirebaseSetup();
-  const [boards, setBoards] = useState([]);
-  const [selectedBoardId, setSelectedBoardId] = useState(null);
-  const [cards, setCards] = useState([]);
-  const [newBoardName, setNewBoardName] = useState('');
-  const selectedBoard = boards.find(b => b.id === selectedBoardId);
-  const defaultLists = useMemo(() => [
-    { id: 'todo', title: 'To Do', order: 1 },
-    { id: 'in_progress', title: 'In Progress', order: 2 },
-    { id: 'done', title: 'Done', order: 3 }
-  ], []);
-  useEffect(() => {
-    if (!db || !isAuthReady) return;
-    const boardCollectionRef = collection(db, 'artifacts', appId, 'public/data/boards');
-    const unsubscribeBoards = onSnapshot(query(boardCollectionRef), snapshot => {
-      const fetchedBoards = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      const userBoards = fetchedBoards.filter(b => b.ownerId === userId || b.members?.includes(userId));
-      setBoards(userBoards);
-      if (userBoards.length > 0 && !selectedBoardId) setSelectedBoardId(userBoards[0].id);
-    }, e => console.error("Error listening to boards:", e));
-    const unsubscribeCards = onSnapshot(collection(db, 'artifacts', appId, 'public/data/cards'), snapshot => {
-      const fetchedCards = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(card => card.boardId === selectedBoardId);
-      setCards(fetchedCards);
-    }, e => console.error("Error listening to cards:", e));
-    return () => { unsubscribeBoards(); unsubscribeCards(); };
-  }, [db, isAuthReady, appId, userId, selectedBoardId]);
-  const createNewBoard = async () => {
-    if (!db || !userId || !newBoardName) return;
-    try {
-      const docRef = await addDoc(collection(db, 'artifacts', appId, 'public/data/boards'), {
-        name: newBoardName, ownerId: userId, ownerEmail: userId, members: [], createdAt: new Date().toISOString()
-      });
-      setSelectedBoardId(docRef.id);
-      setNewBoardName('');
-    } catch (e) { console.error("Error creating board:", e); }
+const ChecklistEditor = ({ items, readOnly, saveChecklist, promoteItem }) => {
+  const [newItemText, setNewItemText] = useState('');
+  const { done, total } = getChecklistProgress({ checklist: items });
+  const handleAdd = () => {
+    const text = newItemText.trim();
+    if (!text) return;
+    saveChecklist([...items, { id: generateId('item'), text, done: false }]);
+    setNewItemText('');
   };
-  if (!isAuthReady) return <div className="loading-screen">Loading application...</div>;
   return (
-    <div className="app-container">
-      <style>{`
-        .app-container {
-          min-height: 100vh;
+    <div className="checklist">
+      {total > 0 && (
+        <div className="checklist-progress">
+          <span className="checklist-count">{done}/{total}</span>
+          <div className="checklist-bar"><div className="checklist-bar-fill" style={{ width: `${(done / total) * 100}%` }} /></div>
+        </div>
+      )}
+      {items.map(item => (
+        <div key={item.id} className="checklist-item">
+          <input type="checkbox" checked={item.done} disabled={readOnly} onChange={() => saveChecklist(items.map(i => i.id === item.id ? { ...i, done: !i.done } : i))} aria-label={item.text} />
+          <span className={`checklist-text ${item.done ? 'done' : ''}`}>{item.text}</span>
+          {!readOnly && (
+            <>
+              <button onClick={() => promoteItem(item)} className="checklist-promote-button">Make card</button>
+              <button onClick={() => saveChecklist(items.filter(i => i.id !== item.id))} className="unlink-button" aria-label={`Remove ${item.text}`}>×</button>
+            </>
+          )}
+        </div>
+      ))}
+      {!readOnly && (
+        <div className="link-form">
+          <input type="text" placeholder="Add an item" className="link-select checklist-input" value={newItemText} onChange={e => setNewItemText(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleAdd()} />
+          <button onClick={handleAdd} disabled={!newItemText.trim()} className="header-action-btn">Add</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AutomationActionFields = ({ action, onChange, lists, labels, members }) => {
+  const set = changes => onChange({ ...action, ...changes });
+  if (action.type === 'move') return (
+    <select className="list-rename-input" value={action.listId || ''} onChange={e => set({ listId: e.target.value })} aria-label="Target list">
+      <option value="" disabled>Choose a list...</option>
+      {lists.map(l => (<option key={l.id} value={l.id}>{l.title}</option>))}
+    </select>
+  );
+  if (action.type === 'set-due' || action.type === 'shift-due') return (
+    <input type="number" className="list-rename-input automation-days" value={action.days ?? ''} onChange={e => set({ days: e.target.value === '' ? '' : Number(e.target.value) })} aria-label="Days" placeholder="Days" />
+  );
+  if (action.type === 'comment') return (
+    <input type="text" className="list-rename-input" value={action.text || ''} onChange={e => set({ text: e.target.value })} aria-label="Comment text" placeholder="Comment text" />
+  );
+  if (action.type !== 'set-field') return null;
+  const options = action.field === 'priority' ? Object.entries(PRIORITIES).map(([value, { label }]) => ({ value, label }))
+    : action.field === 'labelIds' ? labels.map(l => ({ value: l.id, label: l.name })) : members.map(m => ({ value: m.id, label: m.label }));
+  return (
+    <>
+      <select className="list-rename-input" value={action.field || 'priority'} onChange={e => set({ field: e.target.value, value: '' })} aria-label="Field">
+        {Object.entries(AUTOMATION_FIELDS).map(([field, label]) => (<option key={field} value={field}>{label}</option>))}
+      </select>
+      <select className="list-rename-input" value={action.value || ''} onChange={e => set({ value: e.target.value })} aria-label="Value">
+        <option value="" disabled>Choose...</option>
+        {options.map(option => (<option key={option.value} value={option.value}>{option.label}</option>))}
+      </select>
+    </>
+  );
+};
+
+const isAutomationActionComplete = action => ({
+  move: Boolean(action.listId), 'set-due': Number.isFinite(action.days), 'shift-due': Number.isFinite(action.days), 'clear-due': true,
+  'set-field': Boolean(action.field && action.value), comment: Boolean(action.text?.trim())
+})[action.type];
+
+const AutomationPanel = ({ automations, saveAutomations, log, lists, labels, members }) => {
+  const emptyAction = { type: 'move', listId: '' };
+  const [name, setName] = useState('');
+  const [trigger, setTrigger] = useState({ type: 'moved-to-list', listId: lists[0]?.id || '' });
+  const [actions, setActions] = useState([emptyAction]);
+  const context = { lists, labels, members };
+  const isTriggerComplete = trigger.type === 'moved-to-list' ? Boolean(trigger.listId) : trigger.type === 'title-keyword' ? Boolean(trigger.keyword?.trim()) : true;
+  const canSave = name.trim() && isTriggerComplete && actions.length > 0 && actions.every(isAutomationActionComplete);
+  const handleSave = () => {
+    if (!canSave) return;
+    saveAutomations([...automations, { id: generateId('rule'), name: name.trim(), enabled: true, trigger, actions }]);
+    setName('');
+    setActions([emptyAction]);
+  };
+  return (
+    <div className="board-panel">
+      <h3 className="board-panel-title">Automations</h3>
+      {automations.length === 0 && (<p className="recs-none">No automations yet.</p>)}
+      {automations.map(rule => (
+        <div key={rule.id} className="automation-rule">
+          <input type="checkbox" checked={rule.enabled} onChange={() => saveAutomations(automations.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r))} aria-label={`Enable ${rule.name}`} />
+          <div className="automation-rule-text">
+            <p className="automation-rule-name">{rule.name}</p>
+            <p className="panel-text">{describeAutomation(rule, context)}</p>
+          </div>
+          <button onClick={() => saveAutomations(automations.filter(r => r.id !== rule.id))} className="list-delete-btn">Delete</button>
+        </div>
+      ))}
+      <div className="automation-form">
+        <input type="text" className="list-rename-input" placeholder="Rule name" value={name} onChange={e => setName(e.target.value)} />
+        <div className="list-manager-row">
+          <span className="input-label">When</span>
+          <select className="list-rename-input" value={trigger.type} onChange={e => setTrigger({ type: e.target.value, listId: lists[0]?.id || '', keyword: '' })} aria-label="Trigger">
+            {Object.entries(AUTOMATION_TRIGGERS).map(([type, { label }]) => (<option key={type} value={type}>{label}</option>))}
+          </select>
+          {trigger.type === 'moved-to-list' && (
+            <select className="list-rename-input" value={trigger.listId} onChange={e => setTrigger({ ...trigger, listId: e.target.value })} aria-label="Trigger list">
+              {lists.map(l => (<option key={l.id} value={l.id}>{l.title}</option>))}
+            </select>
+          )}
+          {trigger.type === 'title-keyword' && (
+            <input type="text" className="list-rename-input" placeholder="Keyword" value={trigger.keyword || ''} onChange={e => setTrigger({ ...trigger, keyword: e.target.value })} aria-label="Trigger keyword" />
+          )}
+        </div>
+        {actions.map((action, index) => (
+          <div key={index} className="list-manager-row">
+            <span className="input-label">{index === 0 ? 'Then' : 'And'}</span>
+            <select className="list-rename-input" value={action.type} onChange={e => setActions(actions.map((a, i) => i === index ? { type: e.target.value, ...(e.target.value === 'set-field' ? { field: 'priority', value: '' } : {}) } : a))} aria-label="Action">
+              {Object.entries(AUTOMATION_ACTIONS).map(([type, { label }]) => (<option key={type} value={type}>{label}</option>))}
+            </select>
+            <AutomationActionFields action={action} onChange={updated => setActions(actions.map((a, i) => i === index ? updated : a))} lists={lists} labels={labels} members={members} />
+            {actions.length > 1 && (<button onClick={() => setActions(actions.filter((a, i) => i !== index))} className="unlink-button" aria-label="Remove action">×</button>)}
+          </div>
+        ))}
+        <div className="dialog-actions">
+          <button onClick={() => setActions([...actions, emptyAction])} className="header-action-btn">Add Action</button>
+          <button onClick={handleSave} disabled={!canSave} className="header-action-btn">Save Rule</button>
+        </div>
+      </div>
+      <h4 className="input-label">Recent runs</h4>
+      {log.length === 0 ? (<p className="recs-none">No automations have run yet.</p>) : (
+        <ul className="automation-log">
+          {log.map(entry => (
+            <li key={entry.id} className={entry.status === 'fired' ? '' : entry.status}>
+              <span className="automation-log-time">{new Date(entry.timestamp).toLocaleString()}</span> {entry.ruleName} on "{entry.cardTitle}": {entry.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const LabelManager = ({ labels, cards, saveLabels, deleteLabel }) => {
+  const [newLabelName, setNewLabelName] = useState('');
+  const [newLabelColor, setNewLabelColor] = useState(Object.values(LABEL_COLORS)[0]);
+  const handleAdd = () => {
+    const name = newLabelName.trim();
+    if (!name) return;
+    saveLabels([...labels, { id: generateId('label'), name, color: newLabelColor }]);
+    setNewLabelName('');
+  };
+  const handleChange = (label, changes) => {
+    if (changes.name !== undefined && (!changes.name.trim() || changes.name.trim() === label.name)) return;
+    saveLabels(labels.map(l => l.id === label.id ? { ...l, ...changes, ...(changes.name ? { name: changes.name.trim() } : {}) } : l));
+  };
+  const handleDelete = label => {
+    const usage = cards.filter(c => (c.labelIds || []).includes(label.id)).length;
+    if (usage > 0 && !window.confirm(`Delete label "${label.name}"? It will be removed from ${usage} card(s).`)) return;
+    deleteLabel(label.id);
+  };
+  const colorSelect = (value, onChange, label) => (
+    <select className="list-rename-input label-color-select" value={value} onChange={e => onChange(e.target.value)} aria-label={label} style={{ color: value }}>
+      {Object.entries(LABEL_COLORS).map(([name, color]) => (<option key={name} value={color}>{name}</option>))}
+    </select>
+  );
+  return (
+    <div className="list-manager">
+      {labels.map(label => (
+        <div key={label.id} className="list-manager-row">
+          <span className="label-swatch" style={{ backgroundColor: label.color }} />
+          <input key={label.name} type="text" className="list-rename-input" defaultValue={label.name} onBlur={e => handleChange(label, { name: e.target.value })} onKeyDown={e => e.key === 'Enter' && e.target.blur()} aria-label={`Rename ${label.name}`} />
+          {colorSelect(label.color, color => handleChange(label, { color }), `Color of ${label.name}`)}
+          <button onClick={() => handleDelete(label)} className="list-delete-btn">Delete</button>
+        </div>
+      ))}
+      <div className="list-add-form">
+        <input type="text" placeholder="New label name" className="list-rename-input" value={newLabelName} onChange={e => setNewLabelName(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleAdd()} />
+        {colorSelect(newLabelColor, setNewLabelColor, 'New label color')}
+        <button onClick={handleAdd} disabled={!newLabelName.trim()} className="header-action-btn">Add Label</button>
+      </div>
+    </div>
+  );
+};
+
+const ListManager = ({ lists, cards, saveLists, moveCardsToList }) => {
+  const [newListTitle, setNewListTitle] = useState('');
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [targetListId, setTargetListId] = useState('');
+  const affectedCards = pendingDelete ? cards.filter(c => c.listId === pendingDelete.id) : [];
+  const saveOrdered = updated => saveLists(updated.map((l, i) => ({ ...l, order: i + 1 })));
+  const handleAdd = () => {
+    const title = newListTitle.trim();
+    if (!title) return;
+    saveOrdered([...lists, { id: generateId('list'), title }]);
+    setNewListTitle('');
+  };
+  const handleRename = (list, value) => {
+    const title = value.trim();
+    if (title && title !== list.title) saveOrdered(lists.map(l => l.id === list.id ? { ...l, title } : l));
+  };
+  const handleWipLimit = (list, value) => {
+    const wipLimit = parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+    if (wipLimit !== (list.wipLimit || null)) saveOrdered(lists.map(l => l.id === list.id ? { ...l, wipLimit } : l));
+  };
+  const handleMove = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= lists.length) return;
+    const updated = [...lists];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    saveOrdered(updated);
+  };
+  const requestDelete = list => {
+    setPendingDelete(list);
+    setTargetListId(lists.find(l => l.id !== list.id)?.id || '');
+  };
+  const confirmDelete = async () => {
+    if (affectedCards.length > 0) await moveCardsToList(affectedCards, targetListId);
+    saveOrdered(lists.filter(l => l.id !== pendingDelete.id));
+    setPendingDelete(null);
+  };
+  return (
+    <div className="list-manager">
+      {lists.map((list, index) => (
+        <div key={list.id} className="list-manager-row">
+          <input key={list.title} type="text" className="list-rename-input" defaultValue={list.title} onBlur={e => handleRename(list, e.target.value)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} aria-label={`Rename ${list.title}`} />
+          <input key={`wip-${list.wipLimit}`} type="number" min="1" className="list-rename-input wip-limit-input" defaultValue={list.wipLimit || ''} placeholder="WIP" onBlur={e => handleWipLimit(list, e.target.value)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} aria-label={`WIP limit for ${list.title}`} title="Work in progress limit (leave empty for none)" />
+          <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="list-order-btn" aria-label={`Move ${list.title} left`}>◀</button>
+          <button onClick={() => handleMove(index, 1)} disabled={index === lists.length - 1} className="list-order-btn" aria-label={`Move ${list.title} right`}>▶</button>
+          <button onClick={() => requestDelete(list)} disabled={lists.length === 1} className="list-delete-btn">Delete</button>
+        </div>
+      ))}
+      <div className="list-add-form">
+        <input type="text" placeholder="New list name" className="list-rename-input" value={newListTitle} onChange={e => setNewListTitle(e.target.value)} onKeyDown={e => e.key === 'Enter' && handleAdd()} />
+        <button onClick={handleAdd} disabled={!newListTitle.trim()} className="header-action-btn">Add List</button>
+      </div>
+      {pendingDelete && (
+        <div className="list-delete-dialog">
+          <p className="panel-text">Delete "{pendingDelete.title}"?{affectedCards.length > 0 ? ` Its ${affectedCards.length} card(s) will be moved to:` : ' It has no cards.'}</p>
+          {affectedCards.length > 0 && (
+            <select className="list-rename-input" value={targetListId} onChange={e => setTargetListId(e.target.value)}>
+              {lists.filter(l => l.id !== pendingDelete.id).map(l => (<option key={l.id} value={l.id}>{l.title}</option>))}
+            </select>
+          )}
+          <div className="dialog-actions">
+            <button onClick={confirmDelete} className="list-delete-btn">Delete List</button>
+            <button onClick={() => setPendingDelete(null)} className="header-action-btn">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BoardView = ({ board, cards, isLoadingCards, lists, userId, storage, requestedCardId, onCardRequestHandled }) => {
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [selectedCard, setSelectedCard] = useState(null);
+  const [openPanel, setOpenPanel] = useState(null);
+  const [recFeedback, setRecFeedback] = useState([]);
+  const [activity, setActivity] = useState([]);
+  const [draggedCardId, setDraggedCardId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [moveAnnouncement, setMoveAnnouncement] = useState('');
+  const [boardInvites, setBoardInvites] = useState([]);
+  const [visibleCounts, setVisibleCounts] = useState({});
+  const [automationLog, setAutomationLog] = useState([]);
+  const [layout, setLayout] = useState('board');
+  const cardChangeRef = useRef(null);
+  const dueRunsRef = useRef(new Set());
+  const [filters, setFilters] = useState(() => board ? readUrlFilters(board.id) : DEFAULT_FILTERS);
+  const focusCardIdRef = useRef(null);
+  const canEdit = canEditBoard(board, userId);
+  const isOwner = getMemberRole(board, userId) === 'owner';
+  const feedbackStats = useMemo(() => getFeedbackStats(recFeedback), [recFeedback]);
+  const recommendationEngine = useMemo(() => createRecommendationEngine(), [board?.id]);
+  const syncStatus = useSyncStatus(storage);
+  const cardSyncStates = useMemo(() => getDocSyncStates(syncStatus, 'cards'), [syncStatus]);
+  const recommenderSettings = useMemo(() => board?.recommenderSettings || {}, [board?.recommenderSettings]);
+  useEffect(() => {
+    if (!storage || !board) return;
+    return storage.subscribe('recommendationFeedback', [['boardId', '==', board.id]], setRecFeedback, e => console.error('Error listening to recommendation feedback:', e));
+  }, [storage, board?.id]);
+  useEffect(() => {
+    if (!storage || !board) return;
+    return storage.subscribe('activity', [['boardId', '==', board.id]], setActivity, e => console.error('Error listening to activity:', e));
+  }, [storage, board?.id]);
+  useEffect(() => {
+    if (!storage || !board) return;
+    return storage.subscribe('automationLog', [['boardId', '==', board.id]], setAutomationLog, e => console.error('Error listening to automation log:', e));
+  }, [storage, board?.id]);
+  useEffect(() => {
+    if (!storage || !board || !isOwner) return setBoardInvites([]);
+    return storage.subscribe('invites', [['boardId', '==', board.id]], setBoardInvites, e => console.error('Error listening to invites:', e));
+  }, [storage, board?.id, isOwner]);
+  const activityBatches = useMemo(() => groupActivityBatches(activity), [activity]);
+  const undoableBatchIds = useMemo(() => new Set(activityBatches.slice(0, UNDO_WINDOW).filter(batch => batch.source !== 'undo' && !batch.entries.some(e => e.undoneBy)).map(batch => batch.id)), [activityBatches]);
+  useEffect(() => {
+    if (board) writeUrlFilters(board.id, filters);
+  }, [board?.id, filters]);
+  const creators = useMemo(() => [...new Set(cards.map(c => c.createdBy).filter(Boolean))].map(id => ({ id, label: board ? getMemberLabel(board, id) : id })), [cards, board]);
+  const getVisibleCount = listId => visibleCounts[listId] || CARD_PAGE_SIZE;
+  const showMoreCards = (listId, count = getVisibleCount(listId) + CARD_PAGE_SIZE) => setVisibleCounts(current => ({ ...current, [listId]: Math.max(count, current[listId] || CARD_PAGE_SIZE) }));
+  const togglePanel = panel => setOpenPanel(current => current === panel ? null : panel);
+  const logActivity = useCallback(async entries => {
+    if (!storage || !canEdit || entries.length === 0) return;
+    const timestamp = new Date().toISOString();
+    try {
+      await Promise.all(entries.map(entry => storage.add('activity', { boardId: board.id, actorId: userId, timestamp, cardId: null, field: null, oldValue: null, newValue: null, ...entry })));
+    } catch (e) { console.error('Error logging activity:', e); }
+  }, [storage, board, userId, canEdit]);
+  // Resolves to false when the update fails or, with expectedVersion, when the card changed since.
+  const updateCard = useCallback(async (cardId, updates, { source = 'manual', batchId = generateId('batch'), current = cards.find(c => c.id === cardId), chain, expectedVersion } = {}) => {
+    if (!storage || !canEdit) return false;
+    const { updates: written, transition } = getCardWrite(current, updates);
+    try {
+      await storage.updateVersioned('cards', cardId, written, expectedVersion);
+    } catch (e) {
+      console.error('Error updating card:', e);
+      return false;
+    }
+    if (current) {
+      await logActivity(Object.entries(updates).filter(([field, value]) => !isSameValue(current[field], value)).map(([field, value]) => ({
+        cardId, cardTitle: updates.title ?? current.title, field, oldValue: current[field] ?? null, newValue: value ?? null, action: 'update', source, batchId
+      })));
+    }
+    // The card is saved by now; a lost history entry only skews flow analytics.
+    if (transition) {
+      try {
+        await storage.appendUnique('cards', cardId, 'listHistory', transition);
+      } catch (e) { console.error('Error recording list history:', e); }
+    }
+    if (current && source !== 'undo') await cardChangeRef.current?.(current, { ...current, ...updates }, chain, batchId);
+    return true;
+  }, [storage, canEdit, cards, logActivity]);
+  // logFirst records the change while the user can still write activity, for updates that take their own access away.
+  const updateBoard = useCallback(async (updates, { source = 'manual', batchId = generateId('batch'), logFirst = false } = {}) => {
+    if (!storage) return false;
+    const entries = Object.entries(updates).filter(([field, value]) => !isSameValue(board[field], value)).map(([field, value]) => ({
+      field, oldValue: board[field] ?? null, newValue: value ?? null, action: 'update', source, batchId
+    }));
+    try {
+      if (logFirst) await logActivity(entries);
+      await storage.update('boards', board.id, updates);
+      if (!logFirst) await logActivity(entries);
+    } catch (e) {
+      console.error('Error updating board:', e);
+      return false;
+    }
+    return true;
+  }, [storage, board, logActivity]);
+  const saveLists = useCallback(updatedLists => updateBoard({ lists: updatedLists }), [updateBoard]);
+  const saveLabels = useCallback(updatedLabels => updateBoard({ labels: updatedLabels }), [updateBoard]);
+  const saveRecommenderSettings = useCallback(settings => updateBoard({ recommenderSettings: settings }), [updateBoard]);
+  const deleteLabel = useCallback(async labelId => {
+    const batchId = generateId('batch');
+    await Promise.all(cards.filter(c => (c.labelIds || []).includes(labelId)).map(c => updateCard(c.id, { labelIds: c.labelIds.filter(id => id !== labelId) }, { batchId })));
+    await updateBoard({ labels: (board.labels || []).filter(l => l.id !== labelId) }, { batchId });
+  }, [cards, board, updateCard, updateBoard]);
+  const inviteMember = useCallback(async (email, role) => {
+    if (!storage || !isOwner) return;
+    try {
+      await storage.set('invites', getInviteId(board.id, email), { boardId: board.id, boardName: board.name, email, role, invitedBy: userId, status: 'pending', createdAt: new Date().toISOString() });
+    } catch (e) { console.error('Error inviting member:', e); }
+  }, [storage, board, userId, isOwner]);
+  const revokeInvite = useCallback(async invite => {
+    try {
+      await storage.remove('invites', invite.id);
+    } catch (e) { console.error('Error revoking invite:', e); }
+  }, [storage]);
+  const changeRole = useCallback((memberId, role) => updateBoard({ roles: { ...board.roles, [memberId]: role } }), [board, updateBoard]);
+  // Assignees can read their cards without being members, so assignments are cleared first.
+  const removeMember = useCallback(async memberId => {
+    const batchId = generateId('batch');
+    const cleared = await Promise.all(getUnassignments(cards, memberId).map(({ card, updates }) => canEdit
+      ? updateCard(card.id, updates, { batchId })
+      : storage.updateVersioned('cards', card.id, updates).then(() => true, e => { console.error('Error unassigning card:', e); return false; })));
+    if (cleared.includes(false)) return;
+    const { [memberId]: removedRole, ...roles } = board.roles || {};
+    const { [memberId]: removedEmail, ...memberEmails } = board.memberEmails || {};
+    return updateBoard({ members: (board.members || []).filter(m => m !== memberId), roles, memberEmails }, { batchId, logFirst: memberId === userId });
+  }, [storage, board, cards, userId, canEdit, updateCard, updateBoard]);
+  const transferOwnership = useCallback(memberId => {
+    if (!window.confirm(`Make ${getMemberLabel(board, memberId)} the owner of "${board.name}"? You will become an editor.`)) return;
+    return updateBoard({
+      ownerId: memberId, ownerEmail: board.memberEmails?.[memberId] || '', members: [...new Set([...(board.members || []), userId, memberId])], roles: { ...board.roles, [memberId]: 'owner', [userId]: 'editor' }
+    });
+  }, [board, userId, updateBoard]);
+  const migratingBoardRef = useRef(null);
+  useEffect(() => {
+    const legacyEmails = (board?.members || []).filter(m => m.includes('@'));
+    if (!isOwner || legacyEmails.length === 0 || migratingBoardRef.current === board.id) return;
+    migratingBoardRef.current = board.id;
+    Promise.all(legacyEmails.map(email => inviteMember(normalizeEmail(email), 'editor')))
+      .then(() => updateBoard({ members: board.members.filter(m => !m.includes('@')) }))
+      .finally(() => { migratingBoardRef.current = null; });
+  }, [board, isOwner, inviteMember, updateBoard]);
+  const recordRecFeedback = useCallback(async (card, rec, outcome) => {
+    if (!storage || !userId) return;
+    try {
+      await storage.add('recommendationFeedback', { boardId: board.id, cardId: card.id, type: rec.type, trigger: rec.trigger, outcome, userId, createdAt: new Date().toISOString() });
+    } catch (e) { console.error('Error recording recommendation feedback:', e); }
+  }, [storage, board, userId]);
+  const dismissRec = useCallback(async (card, rec) => {
+    await updateCard(card.id, { dismissedRecs: [...(card.dismissedRecs || []), rec.key] });
+    recordRecFeedback(card, rec, 'dismissed');
+  }, [updateCard, recordRecFeedback]);
+  // The duplicate is only deleted once nothing points at it any more.
+  const mergeCards = useCallback(async (targetId, sourceId, updates) => {
+    const target = cards.find(c => c.id === targetId);
+    const { id, ...removedCard } = cards.find(c => c.id === sourceId) || {};
+    if (!storage || !target || !id) return;
+    const batchId = generateId('batch');
+    const merge = getCardMerge({ ...target, ...updates }, { id, ...removedCard }, cards);
+    if (!(await updateCard(targetId, { ...updates, ...merge.updates }, { source: 'recommendation', batchId }))) return;
+    const relinked = await Promise.all(merge.relinked.map(card => updateCard(card.id, { links: card.links }, { source: 'recommendation', batchId })));
+    if (relinked.includes(false)) return;
+    try {
+      const comments = await readOnce(storage, 'comments', [['boardId', '==', board.id], ['cardId', '==', sourceId]]);
+      await Promise.all(comments.map(comment => storage.update('comments', comment.id, { cardId: targetId, cardTitle: target.title })));
+      await storage.remove('cards', sourceId);
+      await logActivity([{ cardId: sourceId, cardTitle: removedCard.title, oldValue: removedCard, action: 'delete', source: 'recommendation', batchId }]);
+    } catch (e) { console.error('Error removing merged card:', e); }
+  }, [storage, board, cards, updateCard, logActivity]);
+  const linkCards = useCallback(async (sourceId, targetId, type) => {
+    const source = cards.find(c => c.id === sourceId);
+    const target = cards.find(c => c.id === targetId);
+    if (!source || !target || getLinkError(sourceId, targetId, type, cards)) return;
+    const batchId = generateId('batch');
+    await Promise.all([
+      updateCard(sourceId, { links: [...(source.links || []).filter(l => l.cardId !== targetId), { cardId: targetId, type }] }, { batchId }),
+      updateCard(targetId, { links: [...(target.links || []).filter(l => l.cardId !== sourceId), { cardId: sourceId, type: LINK_TYPES[type].inverse }] }, { batchId })
+    ]);
+  }, [cards, updateCard]);
+  const unlinkCards = useCallback(async (sourceId, targetId) => {
+    const source = cards.find(c => c.id === sourceId);
+    const target = cards.find(c => c.id === targetId);
+    const batchId = generateId('batch');
+    await Promise.all([
+      source && updateCard(sourceId, { links: (source.links || []).filter(l => l.cardId !== targetId) }, { batchId }),
+      target && updateCard(targetId, { links: (target.links || []).filter(l => l.cardId !== sourceId) }, { batchId })
+    ]);
+  }, [cards, updateCard]);
+  const moveCardsToList = useCallback((cardsToMove, listId) => {
+    const batchId = generateId('batch');
+    return Promise.all(cardsToMove.map(c => updateCard(c.id, { listId }, { batchId })));
+  }, [updateCard]);
+  const undoActivity = useCallback(async batch => {
+    if (!storage || !canEdit) return '';
+    const undoBatchId = generateId('batch');
+    const cardUpdates = {};
+    let conflicts = 0;
+    let failures = 0;
+    for (const entry of batch.entries) {
+      const currentCard = entry.cardId && cards.find(c => c.id === entry.cardId);
+      if (entry.action === 'create') {
+        if (!currentCard) continue;
+        try {
+          await storage.remove('cards', entry.cardId);
+          await logActivity([{ cardId: entry.cardId, cardTitle: currentCard.title, oldValue: currentCard, action: 'delete', source: 'undo', batchId: undoBatchId }]);
+        } catch (e) {
+          console.error('Error removing created card:', e);
+          failures++;
+        }
+      } else if (entry.action === 'delete') {
+        // Restored under its old id so links, comments and activity still point at it.
+        try {
+          await storage.set('cards', entry.cardId, entry.oldValue);
+          await logActivity([{ cardId: entry.cardId, cardTitle: entry.cardTitle, action: 'create', source: 'undo', batchId: undoBatchId }]);
+        } catch (e) {
+          console.error('Error restoring deleted card:', e);
+          failures++;
+        }
+      } else if (!entry.cardId) {
+        if (!isSameValue(board[entry.field], entry.newValue)) conflicts++;
+        else if (!(await updateBoard({ [entry.field]: entry.oldValue }, { source: 'undo', batchId: undoBatchId }))) failures++;
+      } else if (currentCard && isSameValue(currentCard[entry.field], entry.newValue)) {
+        cardUpdates[entry.cardId] = { ...cardUpdates[entry.cardId], [entry.field]: entry.oldValue };
+      } else {
+        conflicts++;
+      }
+    }
+    const written = await Promise.all(Object.entries(cardUpdates).map(([cardId, updates]) => updateCard(cardId, updates, { source: 'undo', batchId: undoBatchId })));
+    failures += written.filter(ok => !ok).length;
+    // A batch that only partly reverted stays undoable so the rest can be retried.
+    if (failures > 0) return `Could not undo ${failures} change(s). Try again.`;
+    try {
+      await Promise.all(batch.entries.map(entry => storage.update('activity', entry.id, { undoneBy: userId })));
+    } catch (e) { console.error('Error marking activity as undone:', e); }
+    return conflicts > 0 ? `Undone, except ${conflicts} change(s) that were edited again since.` : 'Change undone.';
+  }, [storage, canEdit, cards, board, userId, logActivity, updateBoard, updateCard]);
+  const cardsByList = useMemo(() => {
+    const grouped = Object.fromEntries(lists.map(l => [l.id, []]));
+    sortCardsByPosition(cards).forEach(card => {
+      const listId = grouped[card.listId] ? card.listId : lists[0]?.id;
+      if (listId) grouped[listId].push(card);
+    });
+    return grouped;
+  }, [cards, lists]);
+  const listViews = useMemo(() => {
+    const now = new Date();
+    return Object.fromEntries(lists.map(list => {
+      const listCards = cardsByList[list.id];
+      const matching = filters.list && filters.list !== list.id ? [] : listCards.map((card, index) => ({ card, index })).filter(({ card }) => matchesFilters(card, filters, now));
+      const shown = matching.slice(0, visibleCounts[list.id] || CARD_PAGE_SIZE);
+      return [list.id, { shown, matchCount: matching.length, hiddenCount: matching.length - shown.length, endIndex: shown.length < matching.length ? shown.at(-1).index + 1 : listCards.length }];
+    }));
+  }, [cardsByList, lists, filters, visibleCounts]);
+  const confirmWipLimit = useCallback((listId, cardId) => {
+    const list = lists.find(l => l.id === listId);
+    const count = (cardsByList[listId] || []).filter(c => c.id !== cardId).length;
+    return !isListFull(list, count) || window.confirm(`"${list.title}" already has ${count} card(s) and its WIP limit is ${list.wipLimit}. ${cardId ? 'Move' : 'Add'} this card anyway?`);
+  }, [lists, cardsByList]);
+  const filteredCards = useMemo(() => {
+    const now = new Date();
+    return lists.flatMap(list => cardsByList[list.id].map(card => ({ ...card, listId: list.id }))).filter(card => (!filters.list || filters.list === card.listId) && matchesFilters(card, filters, now));
+  }, [cardsByList, lists, filters]);
+  const rescheduleCard = async (card, dueDate) => {
+    await updateCard(card.id, { dueDate });
+    setMoveAnnouncement(`Moved "${card.title}" to ${parseLocalDate(dueDate).toLocaleDateString()}`);
+  };
+  const moveCard = useCallback(async (card, listId, index = Infinity, { source = 'manual' } = {}) => {
+    const openBlockers = getOpenBlockers(card, cards, lists);
+    if (listId === getDoneListId(lists) && card.listId !== listId && openBlockers.length > 0) {
+      if (!window.confirm(`"${card.title}" is still blocked by ${openBlockers.map(b => `"${b.title}"`).join(', ')}. Move it anyway?`)) return;
+    }
+    if (card.listId !== listId && !confirmWipLimit(listId, card.id)) return;
+    const siblings = (cardsByList[listId] || []).filter(c => c.id !== card.id);
+    const targetIndex = Math.max(0, Math.min(index, siblings.length));
+    const position = getPositionBetween(siblings[targetIndex - 1], siblings[targetIndex]);
+    const list = lists.find(l => l.id === listId);
+    setMoveAnnouncement(`Moved "${card.title}" to ${list?.title}, position ${targetIndex + 1} of ${siblings.length + 1}.`);
+    if (position !== null) {
+      if (card.listId !== listId || position !== getCardPosition(card)) await updateCard(card.id, { listId, position }, { source });
+      return;
+    }
+    const batchId = generateId('batch');
+    const reordered = [...siblings.slice(0, targetIndex), card, ...siblings.slice(targetIndex)];
+    await Promise.all(reordered.map((c, i) => updateCard(c.id, c.id === card.id ? { listId, position: (i + 1) * POSITION_GAP } : { position: (i + 1) * POSITION_GAP }, { source, batchId })));
+  }, [cards, cardsByList, lists, updateCard, confirmWipLimit]);
+  const applyRecommendation = useCallback((card, rec) => {
+    if (rec.type === 'move') return lists.some(l => l.id === rec.action) && moveCard(card, rec.action, Infinity, { source: 'recommendation' });
+    return updateCard(card.id, getRecommendationUpdates(card, rec), { source: 'recommendation' });
+  }, [lists, moveCard, updateCard]);
+  useEffect(() => {
+    if (!focusCardIdRef.current) return;
+    const cardElement = document.querySelector(`[data-card-id="${focusCardIdRef.current}"]`);
+    if (!cardElement) return;
+    if (document.activeElement !== cardElement) cardElement.focus();
+    focusCardIdRef.current = null;
+  }, [cardsByList]);
+  const handleCardKeyDown = (e, card, cardIndex) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleCardClick(card);
+      return;
+    }
+    if (!e.altKey || !canEdit || !KEYBOARD_MOVES[e.key]) return;
+    e.preventDefault();
+    const target = getKeyboardMove(lists, filters, card, cardIndex, e.key);
+    if (!target) return;
+    focusCardIdRef.current = card.id;
+    showMoreCards(target.listId, target.index + 1);
+    moveCard(card, target.listId, target.index);
+  };
+  const handleDragStart = (e, card) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', card.id);
+    setDraggedCardId(card.id);
+  };
+  const handleDragEnd = () => {
+    setDraggedCardId(null);
+    setDropTarget(null);
+  };
+  const handleCardDragOver = (e, listId, cardIndex) => {
+    if (!draggedCardId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const index = e.clientY < rect.top + rect.height / 2 ? cardIndex : cardIndex + 1;
+    if (dropTarget?.listId !== listId || dropTarget?.index !== index) setDropTarget({ listId, index });
+  };
+  const handleListDragOver = (e, listId) => {
+    if (!draggedCardId) return;
+    e.preventDefault();
+    const index = listViews[listId].endIndex;
+    if (dropTarget?.listId !== listId || dropTarget?.index !== index) setDropTarget({ listId, index });
+  };
+  const handleDrop = e => {
+    e.preventDefault();
+    const card = cards.find(c => c.id === draggedCardId);
+    if (card && dropTarget) {
+      const listCards = cardsByList[dropTarget.listId];
+      const currentIndex = listCards.findIndex(c => c.id === card.id);
+      const index = currentIndex !== -1 && currentIndex < dropTarget.index ? dropTarget.index - 1 : dropTarget.index;
+      moveCard(card, dropTarget.listId, index);
+    }
+    handleDragEnd();
+  };
+  const handleCardClick = card => {
+    setSelectedCard({ ...card, board: { id: board.id, ownerEmail: board.ownerEmail } });
+    setIsModalOpen(true);
+  };
+  useEffect(() => {
+    const requestedCard = requestedCardId && cards.find(c => c.id === requestedCardId);
+    if (!requestedCard) return;
+    handleCardClick(requestedCard);
+    onCardRequestHandled();
+  }, [requestedCardId, cards]);
+  const createCard = async (listId, fields, { source = 'manual', batchId = generateId('batch') } = {}) => {
+    if (!storage || !userId || !canEdit) return null;
+    try {
+      const card = buildNewCard(board.id, listId, getPositionBetween(cardsByList[listId]?.at(-1), null), userId, fields);
+      const cardId = await storage.add('cards', card);
+      await logActivity([{ cardId, cardTitle: fields.title, action: 'create', source, batchId }]);
+      await cardChangeRef.current?.(null, { id: cardId, ...card }, undefined, batchId);
+      return cardId;
+    } catch (e) {
+      console.error('Error adding card:', e);
+      return null;
+    }
+  };
+  const automations = board?.automations || [];
+  const saveAutomations = useCallback(updated => updateBoard({ automations: updated }), [updateBoard]);
+  const logAutomationRun = async entry => {
+    try {
+      await storage.add('automationLog', { boardId: board.id, actorId: userId, timestamp: new Date().toISOString(), ...entry });
+    } catch (e) { console.error('Error logging automation run:', e); }
+  };
+  // Every editor's client checks due dates, so the first to claim the run acts and the rest skip it.
+  const claimDueRun = async (rule, card) => {
+    try {
+      return await storage.claim('cards', card.id, 'automationRuns', rule.id, card.dueDate);
+    } catch (e) {
+      console.error('Error claiming automation run:', e);
+      return false;
+    }
+  };
+  // A rule runs once per chain and chains stop at MAX_AUTOMATION_DEPTH, so rules cannot loop.
+  const runAutomations = async (before, after, chain = { depth: 0, firedRuleIds: [] }) => {
+    const context = { lists, labels: board.labels || [], members: getBoardMembers(board) };
+    let card = after;
+    for (const rule of getTriggeredAutomations(automations, before, after, getDoneListId(lists))) {
+      const entry = { ruleId: rule.id, ruleName: rule.name, cardId: card.id, cardTitle: card.title };
+      if (chain.firedRuleIds.includes(rule.id) || chain.depth >= MAX_AUTOMATION_DEPTH) {
+        await logAutomationRun({ ...entry, status: 'skipped', detail: chain.firedRuleIds.includes(rule.id) ? 'skipped because it already ran in this chain of automations.' : `stopped after ${MAX_AUTOMATION_DEPTH} chained automations.` });
+        continue;
+      }
+      if (rule.trigger.type === 'due-passed') {
+        if (!(await claimDueRun(rule, card))) continue;
+        card = { ...card, automationRuns: { ...card.automationRuns, [rule.id]: card.dueDate } };
+      }
+      const batchId = generateId('batch');
+      const timestamp = new Date().toISOString();
+      const detail = rule.actions.map(action => AUTOMATION_ACTIONS[action.type]?.describe(action, context)).join(', ');
+      const { updates, comments } = getAutomationEffects(rule, card);
+      if (updates.listId && updates.listId !== card.listId) updates.position = getPositionBetween(cardsByList[updates.listId]?.at(-1), null);
+      const changes = Object.fromEntries(Object.entries(updates).filter(([field, value]) => !isSameValue(card[field], value)));
+      // The run is logged once its changes are saved, under the time it started so it sorts before the rules it chained.
+      if (Object.keys(changes).length > 0 && !(await updateCard(card.id, changes, { source: 'automation', batchId, current: card, chain: { depth: chain.depth + 1, firedRuleIds: [...chain.firedRuleIds, rule.id] } }))) {
+        await logAutomationRun({ ...entry, timestamp, status: 'failed', detail: `failed to ${detail}.` });
+        continue;
+      }
+      try {
+        await Promise.all(comments.map(text => storage.add('comments', {
+          boardId: board.id, boardName: board.name, cardId: card.id, cardTitle: card.title, authorId: userId, text, mentions: extractMentions(text, context.members), createdAt: new Date().toISOString(), automationName: rule.name
+        })));
+      } catch (e) { console.error('Error adding automation comment:', e); }
+      await logAutomationRun({ ...entry, timestamp, status: 'fired', batchId, detail: `${detail}.` });
+      card = { ...card, ...changes };
+    }
+  };
+  const spawnNextOccurrence = async (card, batchId) => {
+    const nextId = await createCard(lists[0].id, buildNextOccurrence(card), { source: 'recurrence', batchId });
+    if (!nextId) return;
+    try {
+      await storage.updateVersioned('cards', card.id, { nextOccurrenceId: nextId });
+    } catch (e) { console.error('Error linking next occurrence:', e); }
+  };
+  // Runs after every card write except undo; a completed recurring card's next occurrence joins its batch.
+  const handleCardChange = async (before, after, chain, batchId) => {
+    const isCompleted = before && before.listId !== after.listId && after.listId === getDoneListId(lists);
+    if (isCompleted && after.recurrence && !cards.some(c => c.id === after.nextOccurrenceId)) await spawnNextOccurrence(after, batchId);
+    await runAutomations(before, after, chain);
+  };
+  cardChangeRef.current = canEdit ? handleCardChange : null;
+  useEffect(() => {
+    if (!canEdit || !automations.some(rule => rule.enabled && rule.trigger.type === 'due-passed')) return;
+    const checkDueDates = () => cards.filter(card => card.dueDate && isOverdue(card.dueDate)).forEach(card => {
+      const runKey = `${card.id}:${card.dueDate}:${automations.map(rule => card.automationRuns?.[rule.id]).join()}`;
+      if (dueRunsRef.current.has(runKey)) return;
+      dueRunsRef.current.add(runKey);
+      cardChangeRef.current?.(card, card);
+    });
+    checkDueDates();
+    const interval = setInterval(checkDueDates, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [cards, automations, canEdit]);
+  const saveAsTemplate = async name => {
+    try {
+      await storage.add('boardTemplates', { ownerId: userId, ...buildBoardTemplate(board, cards, name) });
+      return true;
+    } catch (e) {
+      console.error('Error saving template:', e);
+      return false;
+    }
+  };
+  const addCard = listId => confirmWipLimit(listId) && createCard(listId, PLACEHOLDER_CARD);
+  const healthIssues = useMemo(() => getBoardHealthIssues(filteredCards, lists, activity, feedbackStats, recommendationEngine, recommenderSettings),
+    [filteredCards, lists, activity, feedbackStats, recommendationEngine, recommenderSettings]);
+  const applyHealthFix = issue => {
+    applyRecommendation(issue.card, issue.rec);
+    recordRecFeedback(issue.card, issue.rec, 'accepted');
+  };
+  const dismissHealthIssue = issue => issue.rec ? dismissRec(issue.card, issue.rec) : updateCard(issue.card.id, { dismissedRecs: [...(issue.card.dismissedRecs || []), issue.key] });
+  const promoteChecklistItem = async (card, item) => {
+    const batchId = generateId('batch');
+    const subtaskId = await createCard(card.listId, { title: item.text, description: '', links: [{ cardId: card.id, type: 'subtask_of' }] }, { batchId });
+    if (!subtaskId) return;
+    await updateCard(card.id, { checklist: (card.checklist || []).filter(i => i.id !== item.id), links: [...(card.links || []), { cardId: subtaskId, type: 'has_subtask' }] }, { batchId });
+  };
+  const splitCard = async (card, steps, description) => {
+    const batchId = generateId('batch');
+    const lastPosition = getCardPosition(cardsByList[card.listId]?.at(-1) || card);
+    const subtaskIds = [];
+    for (const [index, step] of steps.entries()) {
+      const subtaskId = await createCard(card.listId, { title: step.text, description: '', position: lastPosition + (index + 1) * POSITION_GAP, links: [{ cardId: card.id, type: 'subtask_of' }] }, { source: 'recommendation', batchId });
+      if (subtaskId) subtaskIds.push(subtaskId);
+    }
+    await updateCard(card.id, { description, links: [...(card.links || []), ...subtaskIds.map(cardId => ({ cardId, type: 'has_subtask' }))] }, { source: 'recommendation', batchId });
+  };
+  if (!board) return <div className="board-placeholder">Select or Create a Board to get started.</div>;
+  return (
+    <div className="main-board-container">
+      <header className="board-header">
+        <div className="board-header-row">
+          <div>
+            <h1 className="board-title">{board.name}</h1>
+            <p className="board-info">Owner:{getMemberLabel(board, board.ownerId)}|Your role:{ROLE_LABELS[getMemberRole(board, userId)]}</p>
+          </div>
+          <div className="board-header-actions">
+            <button onClick={() => togglePanel('members')} className="header-action-btn">{openPanel === 'members' ? 'Close Members' : `Members (${getBoardMembers(board).length})`}</button>
+            {canEdit && (<button onClick={() => togglePanel('lists')} className="header-action-btn">{openPanel === 'lists' ? 'Close Lists' : 'Manage Lists'}</button>)}
+            {canEdit && (<button onClick={() => togglePanel('labels')} className="header-action-btn">{openPanel === 'labels' ? 'Close Labels' : 'Labels'}</button>)}
+            {canEdit && (<button onClick={() => togglePanel('automations')} className="header-action-btn">{openPanel === 'automations' ? 'Close Automations' : 'Automations'}</button>)}
+            <button onClick={() => togglePanel('activity')} className="header-action-btn">{openPanel === 'activity' ? 'Close Activity' : 'Activity'}</button>
+            <button onClick={() => togglePanel('digest')} className={`header-action-btn ${healthIssues.length > 0 ? 'has-issues' : ''}`}>{openPanel === 'digest' ? 'Close Digest' : `Digest (${healthIssues.length})`}</button>
+            <button onClick={() => togglePanel('analytics')} className="header-action-btn">{openPanel === 'analytics' ? 'Close Analytics' : 'Analytics'}</button>
+            <button onClick={() => togglePanel('insights')} className="header-action-btn">{openPanel === 'insights' ? 'Close Insights' : 'Insights'}</button>
+            <button onClick={() => togglePanel('export')} className="header-action-btn">{openPanel === 'export' ? 'Close Export' : 'Export'}</button>
+          </div>
+        </div>
+        {openPanel === 'members' && <BoardMembersPanel board={board} invites={boardInvites} userId={userId} inviteMember={inviteMember} revokeInvite={revokeInvite} changeRole={changeRole} removeMember={removeMember} transferOwnership={transferOwnership} />}
+        {openPanel === 'lists' && canEdit && <ListManager lists={lists} cards={cards} saveLists={saveLists} moveCardsToList={moveCardsToList} />}
+        {openPanel === 'automations' && canEdit && <AutomationPanel automations={automations} saveAutomations={saveAutomations} log={[...automationLog].sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, AUTOMATION_LOG_LIMIT)} lists={lists} labels={board.labels || []} members={getBoardMembers(board)} />}
+        {openPanel === 'labels' && canEdit && <LabelManager labels={board.labels || []} cards={cards} saveLabels={saveLabels} deleteLabel={deleteLabel} />}
+        {openPanel === 'activity' && (
+          <div className="board-panel">
+            <h3 className="board-panel-title">Board Activity</h3>
+            <ActivityFeed batches={activityBatches} lists={lists} userId={userId} members={getBoardMembers(board)} undoableBatchIds={canEdit ? undoableBatchIds : new Set()} onUndo={undoActivity} />
+          </div>
+        )}
+        {openPanel === 'digest' && <BoardHealthDigest issues={healthIssues} readOnly={!canEdit} onOpenCard={handleCardClick} onApply={applyHealthFix} onDismiss={dismissHealthIssue} onClose={() => togglePanel('digest')} />}
+        {openPanel === 'analytics' && <BoardAnalytics cards={cards} lists={lists} onOpenCard={handleCardClick} />}
+        {openPanel === 'insights' && <RecommendationInsights feedbackStats={feedbackStats} recommenders={recommendationEngine.getRecommenders()} settings={recommenderSettings} saveSettings={saveRecommenderSettings} readOnly={!canEdit} />}
+        {openPanel === 'export' && (
+          <div className="board-panel">
+            <h3 className="board-panel-title">Export Board</h3>
+            <p className="panel-text">JSON keeps every list and card field and can be imported again. CSV has one row per card for spreadsheets. iCalendar adds each due date as an all-day event in calendar apps.</p>
+            <div className="dialog-actions">
+              <button onClick={() => downloadFile(getExportFileName(board, 'json'), JSON.stringify(buildBoardExport(board, cards), null, 2), 'application/json')} className="header-action-btn">Download JSON</button>
+              <button onClick={() => downloadFile(getExportFileName(board, 'csv'), buildBoardCsv(cards, lists, board.labels || []), 'text/csv')} className="header-action-btn">Download CSV</button>
+              <button onClick={() => downloadFile(getExportFileName(board, 'ics'), buildBoardIcs(board, cards, lists), 'text/calendar')} className="header-action-btn">Download iCalendar</button>
+            </div>
+            <TemplateSaveForm defaultName={board.name} saveTemplate={saveAsTemplate} />
+          </div>
+        )}
+      </header>
+      <div className="layout-switch" role="group" aria-label="Board layout">
+        {Object.entries(BOARD_LAYOUTS).map(([value, label]) => (
+          <button key={value} onClick={() => setLayout(value)} className={`layout-button ${layout === value ? 'active' : ''}`} aria-pressed={layout === value}>{label}</button>
+        ))}
+      </div>
+      <BoardFilterBar filters={filters} setFilters={setFilters} lists={lists} creators={creators} matchCount={Object.values(listViews).reduce((sum, view) => sum + view.matchCount, 0)} totalCount={cards.length} />
+      <p id="card-move-help" className="sr-only">Press Enter to open a card. Hold Alt and use the arrow keys to move it within or between lists.</p>
+      <p className="sr-only" aria-live="polite">{moveAnnouncement}</p>
+      {layout === 'calendar' && <BoardCalendar cards={filteredCards} lists={lists} canEdit={canEdit} onOpen={handleCardClick} onReschedule={rescheduleCard} />}
+      {layout === 'timeline' && <BoardTimeline cards={filteredCards} lists={lists} canEdit={canEdit} onOpen={handleCardClick} onReschedule={rescheduleCard} />}
+      {layout === 'board' && <div className="list-container">
+        {lists.map(list => (!filters.list || filters.list === list.id) && (
+          <div key={list.id} className={`list-column ${dropTarget?.listId === list.id ? 'drag-over' : ''} ${list.wipLimit && cardsByList[list.id].length > list.wipLimit ? 'over-limit' : ''}`} onDragOver={e => handleListDragOver(e, list.id)} onDrop={handleDrop}>
+            <h3 className="list-title">
+              {list.title}
+              {list.wipLimit && (<span className="wip-count" title="Cards / WIP limit">{cardsByList[list.id].length}/{list.wipLimit}</span>)}
+            </h3>
+            <div className="card-list-scroll">
+              {isLoadingCards && <p className="card-list-status">Loading cards...</p>}
+              {listViews[list.id].shown.map(({ card, index: cardIndex }) => (
+                <React.Fragment key={card.id}>
+                  {dropTarget?.listId === list.id && dropTarget.index === cardIndex && <div className="drop-indicator" />}
+                  <div data-card-id={card.id} className={`task-card ${draggedCardId === card.id ? 'dragging' : ''}`} style={PRIORITIES[card.priority] ? { borderLeftColor: PRIORITIES[card.priority].color } : undefined} tabIndex={0} role="button" aria-describedby="card-move-help" draggable={canEdit} onDragStart={e => handleDragStart(e, card)} onDragEnd={handleDragEnd} onDragOver={e => handleCardDragOver(e, list.id, cardIndex)} onKeyDown={e => handleCardKeyDown(e, { ...card, listId: list.id }, cardIndex)} onClick={() => handleCardClick({ ...card, listId: list.id })}>
+                    {getCardLabels(card, board.labels || []).length > 0 && (
+                      <div className="card-labels">
+                        {getCardLabels(card, board.labels || []).map(label => (<span key={label.id} className="card-label" style={{ backgroundColor: label.color }}>{label.name}</span>))}
+                      </div>
+                    )}
+                    <p className="card-text">{highlightMatches(card.title, filters.text)}</p>
+                    {PRIORITIES[card.priority] && (<span className="priority-badge" style={{ color: PRIORITIES[card.priority].color }}>{PRIORITIES[card.priority].label} priority</span>)}
+                    {card.recurrence && (<span className="recurrence-badge" title={describeRecurrence(card.recurrence)}>↻ {RECURRENCE_FREQUENCIES[card.recurrence.frequency]}</span>)}
+                    {filters.text && !getMatchSnippet(card.title, filters.text) && getMatchSnippet(card.description, filters.text) && (<p className="card-snippet">{highlightMatches(getMatchSnippet(card.description, filters.text), filters.text)}</p>)}
+                    {(card.assigneeIds || []).length > 0 && (
+                      <div className="card-assignees">
+                        {getCardAssignees(card, getBoardMembers(board)).map(member => (<span key={member.id} className="avatar" style={{ backgroundColor: getAvatarColor(member.id) }} title={member.label} aria-label={`Assigned to ${member.label}`}>{getInitials(member.label)}</span>))}
+                      </div>
+                    )}
+                    {getChecklistProgress(card).total > 0 && (<span className={`card-checklist-progress ${getChecklistProgress(card).done === getChecklistProgress(card).total ? 'complete' : ''}`}>☑ {getChecklistProgress(card).done}/{getChecklistProgress(card).total}</span>)}
+                    {getOpenBlockers(card, cards, lists).length > 0 && (<span className="blocked-badge">⛔ Blocked</span>)}
+                    {cardSyncStates.has(card.id) && (<span className={`sync-badge ${cardSyncStates.get(card.id)}`}>{SYNC_STATE_LABELS[cardSyncStates.get(card.id)]}</span>)}
+                    {card.dueDate && (<p className={`card-due-date ${isOverdue(card.dueDate) ? 'due-late' : 'due-ok'}`}>Due:{parseLocalDate(card.dueDate).toLocaleDateString()}</p>)}
+                  </div>
+                </React.Fragment>
+              ))}
+              {dropTarget?.listId === list.id && dropTarget.index === listViews[list.id].endIndex && <div className="drop-indicator" />}
+              {!isLoadingCards && hasActiveFilters(filters) && listViews[list.id].matchCount === 0 && <p className="card-list-status">No matching cards</p>}
+              {listViews[list.id].hiddenCount > 0 && (
+                <button onClick={() => showMoreCards(list.id)} className="show-more-button">Show more ({listViews[list.id].hiddenCount} hidden)</button>
+              )}
+            </div>
+            {canEdit && (<button onClick={() => addCard(list.id)} className="add-card-button">+ Add Card</button>)}
+          </div>
+        ))}
+      </div>}
+      {isModalOpen && selectedCard && (
+        <CardModal key={selectedCard.id} card={selectedCard} board={board} storage={storage} lists={lists} allCards={cards} onClose={() => setIsModalOpen(false)} onOpenCard={handleCardClick} updateCard={updateCard} applyRecommendation={applyRecommendation} mergeCards={mergeCards} linkCards={linkCards} unlinkCards={unlinkCards} promoteChecklistItem={promoteChecklistItem} splitCard={splitCard} userId={userId} readOnly={!canEdit} recommendationEngine={recommendationEngine} recommenderSettings={recommenderSettings} feedbackStats={feedbackStats} recordRecFeedback={recordRecFeedback} dismissRec={dismissRec} activityBatches={activityBatches} undoableBatchIds={undoableBatchIds} undoActivity={undoActivity} />
+      )}
+    </div>
+  );
+};
+
+const App = ({ storage: injectedStorage, userId: injectedUserId }) => {
+  const { storage, userId, authEmail, isAuthReady } = useStorageSetup(injectedStorage, injectedUserId);
+  const syncStatus = useSyncStatus(storage);
+  const [boards, setBoards] = useState([]);
+  const [selectedBoardId, setSelectedBoardId] = useState(() => new URLSearchParams(window.location.search).get('board'));
+  const [cardsByBoard, setCardsByBoard] = useState({});
+  const [newBoardName, setNewBoardName] = useState('');
+  const [mentions, setMentions] = useState([]);
+  const [requestedCardId, setRequestedCardId] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [view, setView] = useState('board');
+  const [myTasks, setMyTasks] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [createBoardError, setCreateBoardError] = useState('');
+  const cardSubscriptionsRef = useRef(new Map());
+  const selectedBoard = boards.find(b => b.id === selectedBoardId);
+  const cards = cardsByBoard[selectedBoardId];
+  const boardLists = useMemo(() => getBoardLists(selectedBoard), [selectedBoard]);
+  useEffect(() => {
+    if (!storage || !isAuthReady || !userId) return;
+    const results = { owned: null, member: null };
+    const publish = key => fetchedBoards => {
+      results[key] = fetchedBoards;
+      if (!results.owned || !results.member) return;
+      const userBoards = [...new Map([...results.owned, ...results.member].map(b => [b.id, b])).values()];
+      setBoards(userBoards);
+      setSelectedBoardId(current => current && userBoards.some(b => b.id === current) ? current : userBoards[0]?.id || null);
+    };
+    const unsubscribeOwned = storage.subscribe('boards', [['ownerId', '==', userId]], publish('owned'), e => console.error("Error listening to boards:", e));
+    const unsubscribeMember = storage.subscribe('boards', [['members', 'array-contains', userId]], publish('member'), e => console.error("Error listening to boards:", e));
+    return () => { unsubscribeOwned(); unsubscribeMember(); };
+  }, [storage, isAuthReady, userId]);
+  useEffect(() => {
+    const subscriptions = cardSubscriptionsRef.current;
+    return () => {
+      subscriptions.forEach(unsubscribe => unsubscribe());
+      subscriptions.clear();
+      setCardsByBoard({});
+    };
+  }, [storage]);
+  useEffect(() => {
+    if (!storage || !isAuthReady || !selectedBoardId) return;
+    const subscriptions = cardSubscriptionsRef.current;
+    const boardId = selectedBoardId;
+    const unsubscribe = subscriptions.get(boardId) || storage.subscribe('cards', [['boardId', '==', boardId]], fetchedCards => {
+      setCardsByBoard(current => ({ ...current, [boardId]: fetchedCards }));
+    }, e => console.error("Error listening to cards:", e));
+    subscriptions.delete(boardId);
+    subscriptions.set(boardId, unsubscribe);
+    while (subscriptions.size > CACHED_BOARD_LIMIT) {
+      const [oldestId, unsubscribeOldest] = subscriptions.entries().next().value;
+      unsubscribeOldest();
+      subscriptions.delete(oldestId);
+      setCardsByBoard(({ [oldestId]: evicted, ...rest }) => rest);
+    }
+  }, [storage, isAuthReady, selectedBoardId]);
+  useEffect(() => {
+    if (!storage || !isAuthReady || !userId) return;
+    return storage.subscribe('userProfiles', [['uid', '==', userId]], profiles => setProfile(profiles[0] || null), e => console.error("Error listening to profile:", e));
+  }, [storage, isAuthReady, userId]);
+  // Invites go to the verified address; the profile email stands in on the local adapter.
+  const inviteEmail = authEmail ? normalizeEmail(authEmail) : profile?.email;
+  useEffect(() => {
+    if (!storage || !inviteEmail) return setInvites([]);
+    return storage.subscribe('invites', [['email', '==', inviteEmail]], fetched => setInvites(fetched.filter(invite => invite.status === 'pending')), e => console.error("Error listening to invites:", e));
+  }, [storage, inviteEmail]);
+  useEffect(() => {
+    if (!storage || !isAuthReady || !userId) return;
+    return storage.subscribe('cards', [['assigneeIds', 'array-contains', userId]], setMyTasks, e => console.error("Error listening to assigned cards:", e));
+  }, [storage, isAuthReady, userId]);
+  const openBoard = boardId => {
+    setSelectedBoardId(boardId);
+    setView('board');
+  };
+  const saveProfileEmail = useCallback(async email => {
+    if (!storage || !userId) return;
+    try {
+      await storage.set('userProfiles', userId, { uid: userId, email });
+    } catch (e) { console.error("Error saving profile:", e); }
+  }, [storage, userId]);
+  useEffect(() => {
+    if (authEmail) saveProfileEmail(normalizeEmail(authEmail));
+  }, [authEmail, saveProfileEmail]);
+  const respondToInvite = async (invite, accept) => {
+    try {
+      // Membership, role and email land in one write so the member never holds a default role.
+      if (accept) await storage.appendUnique('boards', invite.boardId, 'members', userId, { roles: { [userId]: invite.role }, memberEmails: { [userId]: invite.email } });
+      await storage.update('invites', invite.id, { status: accept ? 'accepted' : 'declined', respondedBy: userId, respondedAt: new Date().toISOString() });
+      if (accept) openBoard(invite.boardId);
+    } catch (e) { console.error("Error responding to invite:", e); }
+  };
+  useEffect(() => {
+    if (!storage || !isAuthReady || !userId) return;
+    return storage.subscribe('comments', [['mentions', 'array-contains', userId]], setMentions, e => console.error("Error listening to mentions:", e));
+  }, [storage, isAuthReady, userId]);
+  useEffect(() => {
+    if (!storage || !isAuthReady || !userId) return;
+    return storage.subscribe('boardTemplates', [['ownerId', '==', userId]], setTemplates, e => console.error("Error listening to templates:", e));
+  }, [storage, isAuthReady, userId]);
+  const openMention = comment => {
+    openBoard(comment.boardId);
+    setRequestedCardId(comment.cardId);
+  };
+  const createNewBoard = async () => {
+    if (!storage || !userId || !newBoardName) return;
+    setCreateBoardError('');
+    const template = templates.find(t => t.id === templateId);
+    if (template) {
+      if (!(await importBoard(instantiateBoardTemplate(template), newBoardName))) return setCreateBoardError('Could not create the board from that template. Try again.');
+      setNewBoardName('');
+      setTemplateId('');
+      return;
+    }
+    try {
+      const boardId = await storage.add('boards', buildNewBoard(newBoardName, userId, profile?.email));
+      openBoard(boardId);
+      setNewBoardName('');
+    } catch (e) {
+      console.error("Error creating board:", e);
+      setCreateBoardError('Could not create the board. Try again.');
+    }
+  };
+  // Resolves to whether the board was created; a failed import removes what it already wrote.
+  const importBoard = async (imported, name) => {
+    if (!storage || !userId) return false;
+    let boardId = null;
+    const idMap = {};
+    try {
+      boardId = await storage.add('boards', buildNewBoard(name, userId, profile?.email, imported.lists, imported.labels));
+      for (const { sourceId, links, ...card } of imported.cards) {
+        idMap[sourceId] = await storage.add('cards', { createdBy: userId, createdAt: new Date().toISOString(), ...card, boardId });
+      }
+      await Promise.all(imported.cards.filter(card => card.links?.length).map(card => storage.updateVersioned('cards', idMap[card.sourceId], {
+        links: card.links.filter(link => idMap[link.cardId]).map(link => ({ ...link, cardId: idMap[link.cardId] }))
+      })));
+      openBoard(boardId);
+      return true;
+    } catch (e) {
+      console.error("Error importing board:", e);
+      const cleanup = await Promise.allSettled([...Object.values(idMap).map(id => storage.remove('cards', id)), ...(boardId ? [storage.remove('boards', boardId)] : [])]);
+      cleanup.filter(result => result.status === 'rejected').forEach(result => console.error("Error cleaning up failed import:", result.reason));
+      return false;
+    }
+  };
+  const deleteTemplate = async id => {
+    if (!window.confirm(`Delete the template "${templates.find(t => t.id === id)?.name}"?`)) return;
+    try {
+      await storage.remove('boardTemplates', id);
+      setTemplateId('');
+    } catch (e) { console.error("Error deleting template:", e); }
+  };
+  if (!isAuthReady) return <div className="loading-screen">Loading application...</div>;
+  return (
+    <div className="app-container">
+      <style>{`
+        .app-container {
+          min-height: 100vh;
+          background-color: #f9fafb;
+          font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif;
+          display: flex;
+          flex-direction: column;
+        }
+        .card-list-scroll::-webkit-scrollbar, .list-container::-webkit-scrollbar {
+          height: 8px;
+          width: 8px;
+        }
+        .card-list-scroll::-webkit-scrollbar-thumb, .list-container::-webkit-scrollbar-thumb {
+          background-color: #cbd5e1;
+          border-radius: 4px;
+        }
+        .main-header {
+          background-color: #fff;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+          padding: 1rem;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          position: sticky;
+          top: 0;
+          z-index: 10;
+        }
+        .app-logo {
+          font-size: 1.5rem;
+          font-weight: 900;
+          color: #4f46e5;
+        }
+        .header-right {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+        }
+        .mentions-menu {
+          position: relative;
+        }
+        .mentions-dropdown {
+          position: absolute;
+          right: 0;
+          top: 2.5rem;
+          width: 20rem;
+          max-height: 24rem;
+          overflow-y: auto;
+          background-color: #fff;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.5rem;
+          box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05);
+          padding: 0.5rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+        .mention-entry {
+          display: flex;
+          flex-direction: column;
+          text-align: left;
+          padding: 0.5rem;
+          border-radius: 0.375rem;
+        }
+        .mention-entry:hover {
+          background-color: #f3f4f6;
+        }
+        .mention-entry-title {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #4338ca;
+        }
+        .mention-entry-text {
+          font-size: 0.875rem;
+          color: #374151;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .user-info {
+          font-size: 0.875rem;
+          color: #6b7280;
+          font-weight: 500;
+        }
+        .user-id-mono {
+          font-family: monospace;
+          color: #6366f1;
+        }
+        .main-flex {
+          display: flex;
+          flex-grow: 1;
+        }
+        .sidebar {
+          width: 16rem;
+          background-color: #fff;
+          padding: 1rem;
+          border-right: 1px solid #e5e7eb;
+          flex-shrink: 0;
+        }
+        .sidebar-title {
+          font-size: 1.125rem;
+          font-weight: 700;
+          color: #1f2937;
+          margin-bottom: 1rem;
+          padding-bottom: 0.5rem;
+          border-bottom: 1px solid #e5e7eb;
+        }
+        .board-button {
+          width: 100%;
+          text-align: left;
+          padding: 0.5rem;
+          border-radius: 0.5rem;
+          transition: background-color 150ms;
+          font-size: 0.875rem;
+          color: #4b5563;
+        }
+        .board-button:hover {
+          background-color: #f3f4f6;
+        }
+        .board-button.selected {
+          background-color: #e0e7ff;
+          color: #3730a3;
+          font-weight: 600;
+          border-left: 4px solid #6366f1;
+        }
+        .board-creation-area {
+          margin-top: 1.5rem;
+          padding-top: 1rem;
+          border-top: 1px solid #e5e7eb;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        .board-input {
+          padding: 0.5rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.5rem;
+          font-size: 0.875rem;
+        }
+        .board-import {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+        }
+        .import-label {
+          font-size: 0.875rem;
+          color: #4f46e5;
+          cursor: pointer;
+        }
+        .import-file-input {
+          display: block;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .import-preview {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          padding: 0.75rem;
+          background-color: #eef2ff;
+          border-radius: 0.5rem;
+        }
+        .import-lists, .import-report {
+          padding-left: 1.25rem;
+          list-style: disc;
+          font-size: 0.75rem;
+          color: #374151;
+        }
+        .import-report {
+          color: #92400e;
+        }
+        .template-picker {
+          display: flex;
+          gap: 0.5rem;
+          margin-bottom: 0.5rem;
+        }
+        .template-select {
+          flex: 1;
+          min-width: 0;
+          padding: 0.5rem;
+          font-size: 0.875rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.5rem;
+          background-color: #fff;
+        }
+        .template-save-form {
+          margin-top: 1rem;
+          padding-top: 0.75rem;
+          border-top: 1px solid #e5e7eb;
+        }
+        .recurrence-badge {
+          display: inline-block;
+          margin-left: 0.5rem;
+          font-size: 0.75rem;
+          color: #0f766e;
+        }
+        .recurrence-day-input {
+          width: 4.5rem;
+        }
+        .create-board-btn {
+          padding: 0.5rem;
+          background-color: #6366f1;
+          color: #fff;
+          border-radius: 0.5rem;
+          font-weight: 500;
+          font-size: 0.875rem;
+          transition: background-color 150ms;
+          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+        }
+        .create-board-btn:hover {
+          background-color: #4f46e5;
+        }
+        .create-board-btn:disabled {
+          background-color: #a5b4fc;
+        }
+        .main-board-container {
+          padding: 1rem 2rem;
+          flex-grow: 1;
+          overflow: hidden;
+        }
+        .board-header {
+          margin-bottom: 1.5rem;
+          padding-bottom: 1rem;
+          border-bottom: 1px solid #e5e7eb;
+        }
+        .board-header-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 1rem;
+        }
+        .header-action-btn {
+          padding: 0.375rem 0.75rem;
+          font-size: 0.875rem;
+          font-weight: 500;
+          color: #4f46e5;
+          background-color: #eef2ff;
+          border-radius: 0.5rem;
+          transition: background-color 150ms;
+          white-space: nowrap;
+        }
+        .header-action-btn:hover {
+          background-color: #e0e7ff;
+        }
+        .header-action-btn:disabled {
+          color: #a5b4fc;
+        }
+        .board-header-actions {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: flex-end;
+          gap: 0.5rem;
+        }
+        .board-panel {
+          margin-top: 1rem;
+          padding: 0.75rem;
+          background-color: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.5rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          max-width: 40rem;
+        }
+        .board-panel-title {
+          font-size: 1rem;
+          font-weight: 700;
+          color: #4338ca;
+        }
+        .activity-feed {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          max-height: 16rem;
+          overflow-y: auto;
+        }
+        .activity-item {
+          padding: 0.5rem;
+          background-color: #fff;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.375rem;
+        }
+        .activity-undone {
+          opacity: 0.5;
+        }
+        .activity-text {
+          font-size: 0.875rem;
+          color: #374151;
+        }
+        .activity-actor {
+          font-weight: 600;
+          color: #4338ca;
+        }
+        .activity-source {
+          font-size: 0.75rem;
+          color: #6b7280;
+          font-style: italic;
+        }
+        .activity-meta {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-size: 0.75rem;
+          color: #9ca3af;
+          margin-top: 0.25rem;
+        }
+        .activity-undo-button {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #4f46e5;
+        }
+        .activity-undo-button:hover {
+          text-decoration: underline;
+        }
+        .comment-thread {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        .comment-item {
+          padding: 0.5rem;
+          background-color: #f9fafb;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.375rem;
+        }
+        .comment-text {
+          font-size: 0.875rem;
+          color: #1f2937;
+          white-space: pre-wrap;
+          margin-top: 0.25rem;
+        }
+        .comment-mention {
+          font-weight: 600;
+          color: #4f46e5;
+        }
+        .comment-actions {
+          display: flex;
+          gap: 0.75rem;
+          margin-top: 0.25rem;
+        }
+        .mention-input {
+          position: relative;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        .comment-input {
+          width: 100%;
+          min-height: 4rem;
+          padding: 0.5rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.5rem;
+          font-size: 0.875rem;
+          resize: vertical;
+        }
+        .mention-suggestions {
+          position: absolute;
+          top: 4.25rem;
+          left: 0;
+          z-index: 5;
+          min-width: 12rem;
+          background-color: #fff;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.375rem;
+          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+        }
+        .mention-suggestions li {
+          padding: 0.375rem 0.5rem;
+          font-size: 0.875rem;
+          cursor: pointer;
+        }
+        .mention-suggestions li.highlighted, .mention-suggestions li:hover {
+          background-color: #eef2ff;
+          color: #3730a3;
+        }
+        .insights-table {
+          width: 100%;
+          font-size: 0.875rem;
+          border-collapse: collapse;
+        }
+        .insights-table th, .insights-table td {
+          padding: 0.25rem 0.5rem;
+          text-align: left;
+          border-bottom: 1px solid #e5e7eb;
+        }
+        .insights-table th {
+          color: #6b7280;
+          font-weight: 600;
+        }
+        .header-action-btn.has-issues {
+          color: #b45309;
+        }
+        .digest-group {
+          margin-top: 0.75rem;
+        }
+        .digest-item {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.375rem 0;
+          font-size: 0.875rem;
+          border-bottom: 1px solid #f3f4f6;
+        }
+        .digest-rationale {
+          flex: 1;
+          min-width: 12rem;
+          color: #6b7280;
+        }
+        .analytics-heading {
+          margin-top: 1rem;
+        }
+        .throughput-chart {
+          display: flex;
+          align-items: flex-end;
+          gap: 0.5rem;
+          height: 8rem;
+        }
+        .throughput-week {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: flex-end;
+          height: 100%;
+        }
+        .throughput-bar {
+          width: 100%;
+          min-height: 2px;
+          background-color: #6366f1;
+          border-radius: 0.25rem 0.25rem 0 0;
+        }
+        .throughput-count, .throughput-label {
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .flow-chart {
+          width: 100%;
+          height: 10rem;
           background-color: #f9fafb;
-          font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif;
+          border-radius: 0.5rem;
+        }
+        .flow-legend {
           display: flex;
-          flex-direction: column;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          gap: 0.5rem;
+          font-size: 0.75rem;
+          color: #6b7280;
         }
-        .card-list-scroll::-webkit-scrollbar, .list-container::-webkit-scrollbar {
-          height: 8px;
-          width: 8px;
+        .flow-swatch {
+          display: inline-block;
+          width: 0.75rem;
+          height: 0.75rem;
+          margin-right: 0.25rem;
+          vertical-align: middle;
+          border-radius: 0.125rem;
         }
-        .card-list-scroll::-webkit-scrollbar-thumb, .list-container::-webkit-scrollbar-thumb {
-          background-color: #cbd5e1;
-          border-radius: 4px;
+        .insights-table tr.aging td {
+          color: #b45309;
+          font-weight: 600;
         }
-        .main-header {
-          background-color: #fff;
-          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
-          padding: 1rem;
+        .analytics-card-link {
+          color: #4f46e5;
+          text-align: left;
+        }
+        .analytics-card-link:hover {
+          text-decoration: underline;
+        }
+        .wip-limit-input {
+          width: 4.5rem;
+          flex: none;
+        }
+        .recommender-row {
           display: flex;
-          justify-content: space-between;
+          flex-wrap: wrap;
           align-items: center;
-          position: sticky;
-          top: 0;
-          z-index: 10;
+          gap: 0.5rem 1rem;
+          padding: 0.5rem 0;
+          border-top: 1px solid #e5e7eb;
         }
-        .app-logo {
-          font-size: 1.5rem;
-          font-weight: 900;
-          color: #4f46e5;
+        .recommender-toggle {
+          min-width: 9rem;
+          font-weight: 600;
         }
-        .user-info {
+        .recommender-option {
+          display: flex;
+          align-items: center;
+          gap: 0.375rem;
           font-size: 0.875rem;
-          color: #6b7280;
-          font-weight: 500;
+          color: #4b5563;
         }
-        .user-id-mono {
-          font-family: monospace;
-          color: #6366f1;
+        .recommender-option-input {
+          width: 4.5rem;
+          flex: none;
         }
-        .main-flex {
-          display: flex;
-          flex-grow: 1;
+        .wip-count {
+          float: right;
+          font-size: 0.875rem;
+          font-weight: 600;
+          color: #6b7280;
         }
-        .sidebar {
-          width: 16rem;
-          background-color: #fff;
-          padding: 1rem;
-          border-right: 1px solid #e5e7eb;
-          flex-shrink: 0;
+        .list-column.over-limit {
+          background-color: #fee2e2;
+          box-shadow: inset 0 0 0 2px #ef4444;
         }
-        .sidebar-title {
-          font-size: 1.125rem;
-          font-weight: 700;
-          color: #1f2937;
-          margin-bottom: 1rem;
-          padding-bottom: 0.5rem;
-          border-bottom: 1px solid #e5e7eb;
+        .list-column.over-limit .wip-count {
+          color: #b91c1c;
         }
-        .board-button {
-          width: 100%;
-          text-align: left;
-          padding: 0.5rem;
+        .list-manager {
+          margin-top: 1rem;
+          padding: 0.75rem;
+          background-color: #f9fafb;
+          border: 1px solid #e5e7eb;
           border-radius: 0.5rem;
-          transition: background-color 150ms;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          max-width: 32rem;
+        }
+        .list-manager-row, .list-add-form, .dialog-actions {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .list-rename-input {
+          flex-grow: 1;
+          padding: 0.375rem 0.5rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.375rem;
           font-size: 0.875rem;
+        }
+        .list-order-btn {
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
           color: #4b5563;
+          background-color: #e5e7eb;
+          border-radius: 0.375rem;
         }
-        .board-button:hover {
-          background-color: #f3f4f6;
+        .list-order-btn:disabled {
+          color: #d1d5db;
         }
-        .board-button.selected {
-          background-color: #e0e7ff;
-          color: #3730a3;
-          font-weight: 600;
-          border-left: 4px solid #6366f1;
+        .list-delete-btn {
+          padding: 0.375rem 0.75rem;
+          font-size: 0.875rem;
+          font-weight: 500;
+          color: #b91c1c;
+          background-color: #fee2e2;
+          border-radius: 0.5rem;
         }
-        .board-creation-area {
-          margin-top: 1.5rem;
-          padding-top: 1rem;
-          border-top: 1px solid #e5e7eb;
+        .list-delete-btn:disabled {
+          color: #fca5a5;
+        }
+        .list-delete-dialog {
+          padding: 0.75rem;
+          background-color: #fff7ed;
+          border: 1px solid #fed7aa;
+          border-radius: 0.5rem;
           display: flex;
           flex-direction: column;
           gap: 0.5rem;
         }
-        .board-input {
+        .board-title {
+          font-size: 1.875rem;
+          font-weight: 800;
+          color: #1f2937;
+        }
+        .board-info {
+          font-size: 0.875rem;
+          color: #6b7280;
+          margin-top: 0.25rem;
+        }
+        .filter-bar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+        }
+        .filter-input {
+          flex: 1;
+          min-width: 12rem;
           padding: 0.5rem;
           border: 1px solid #d1d5db;
           border-radius: 0.5rem;
           font-size: 0.875rem;
         }
-        .create-board-btn {
+        .filter-select {
           padding: 0.5rem;
-          background-color: #6366f1;
-          color: #fff;
+          border: 1px solid #d1d5db;
           border-radius: 0.5rem;
-          font-weight: 500;
           font-size: 0.875rem;
-          transition: background-color 150ms;
-          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+          background-color: #fff;
         }
-        .create-board-btn:hover {
+        .filter-count {
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+        .filter-clear-button {
+          font-size: 0.875rem;
+          color: #4f46e5;
+        }
+        .filter-clear-button:hover {
+          text-decoration: underline;
+        }
+        .search-highlight {
+          background-color: #fef08a;
+          border-radius: 0.125rem;
+        }
+        .card-snippet {
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .layout-switch {
+          display: flex;
+          gap: 0.25rem;
+          margin-bottom: 0.75rem;
+        }
+        .layout-button {
+          padding: 0.375rem 0.75rem;
+          font-size: 0.875rem;
+          color: #4b5563;
+          border: 1px solid #d1d5db;
+          border-radius: 0.5rem;
+          background-color: #fff;
+        }
+        .layout-button.active {
+          color: #fff;
           background-color: #4f46e5;
+          border-color: #4f46e5;
         }
-        .create-board-btn:disabled {
-          background-color: #a5b4fc;
+        .calendar-view {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          height: calc(100vh - 250px);
         }
-        .main-board-container {
-          padding: 1rem 2rem;
-          flex-grow: 1;
+        .calendar-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .calendar-title {
+          flex: 1;
+          font-size: 1.125rem;
+          font-weight: 700;
+          color: #1f2937;
+        }
+        .calendar-body {
+          display: flex;
+          gap: 1rem;
+          flex: 1;
+          min-height: 0;
+        }
+        .calendar-grid {
+          flex: 1;
+          display: grid;
+          grid-template-columns: repeat(7, minmax(0, 1fr));
+          grid-auto-rows: minmax(6rem, auto);
+          gap: 1px;
+          background-color: #e5e7eb;
+          border: 1px solid #e5e7eb;
+          border-radius: 0.5rem;
+          overflow-y: auto;
+        }
+        .calendar-grid.week {
+          grid-auto-rows: minmax(16rem, auto);
+        }
+        .calendar-weekday {
+          padding: 0.25rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-align: center;
+          color: #6b7280;
+          background-color: #f9fafb;
+        }
+        .calendar-grid .calendar-weekday {
+          min-height: 0;
+        }
+        .calendar-day {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          padding: 0.25rem;
+          background-color: #fff;
+          min-width: 0;
+        }
+        .calendar-day.outside {
+          background-color: #f9fafb;
+        }
+        .calendar-day.today .calendar-day-number {
+          color: #fff;
+          background-color: #4f46e5;
+        }
+        .calendar-day.drag-over, .timeline-cell.drag-over {
+          background-color: #e0e7ff;
+        }
+        .calendar-day-number {
+          align-self: flex-start;
+          padding: 0 0.375rem;
+          font-size: 0.75rem;
+          color: #6b7280;
+          border-radius: 9999px;
+        }
+        .calendar-card {
+          padding: 0.125rem 0.375rem;
+          font-size: 0.75rem;
+          text-align: left;
+          color: #1f2937;
+          background-color: #eef2ff;
+          border-left: 3px solid #6366f1;
+          border-radius: 0.25rem;
           overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
         }
-        .board-header {
-          margin-bottom: 1.5rem;
-          padding-bottom: 1rem;
-          border-bottom: 1px solid #e5e7eb;
+        .calendar-card.due-late {
+          background-color: #fee2e2;
         }
-        .board-title {
-          font-size: 1.875rem;
-          font-weight: 800;
+        .calendar-card.done {
+          color: #9ca3af;
+          text-decoration: line-through;
+        }
+        .calendar-card.dragging, .timeline-bar.dragging {
+          opacity: 0.4;
+        }
+        .calendar-undated {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          width: 14rem;
+          flex-shrink: 0;
+          padding: 0.5rem;
+          background-color: #f3f4f6;
+          border-radius: 0.5rem;
+          overflow-y: auto;
+        }
+        .timeline-scroll {
+          flex: 1;
+          overflow: auto;
+        }
+        .timeline-row {
+          display: grid;
+          align-items: center;
+          min-width: 60rem;
+          min-height: 2rem;
+        }
+        .timeline-header {
+          position: sticky;
+          top: 0;
+          z-index: 2;
+          background-color: #f9fafb;
+        }
+        .timeline-day-label {
+          font-size: 0.75rem;
+          text-align: center;
+          color: #6b7280;
+        }
+        .timeline-day-label.today {
+          font-weight: 700;
+          color: #4f46e5;
+        }
+        .timeline-list-title {
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+          font-weight: 700;
           color: #1f2937;
         }
-        .board-info {
-          font-size: 0.875rem;
-          color: #6b7280;
-          margin-top: 0.25rem;
+        .timeline-card-title {
+          padding-right: 0.5rem;
+          font-size: 0.875rem;
+          text-align: left;
+          color: #374151;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .timeline-cell {
+          align-self: stretch;
+          border-left: 1px solid #f3f4f6;
+        }
+        .timeline-cell.today {
+          background-color: #eef2ff;
+        }
+        .timeline-bar {
+          z-index: 1;
+          height: 1.25rem;
+          background-color: #6366f1;
+          border-radius: 9999px;
+        }
+        .timeline-bar.due-late {
+          background-color: #ef4444;
+        }
+        .timeline-bar.clipped-start {
+          border-top-left-radius: 0;
+          border-bottom-left-radius: 0;
+        }
+        .timeline-bar.clipped-end {
+          border-top-right-radius: 0;
+          border-bottom-right-radius: 0;
         }
         .list-container {
           display: flex;
           gap: 1.5rem;
           overflow-x: auto;
-          height: calc(100vh - 160px);
+          height: calc(100vh - 210px);
           padding-bottom: 1rem;
         }
         .list-column {
@@ -417,6 +4018,21 @@ const App = () => {
           overflow-y: auto;
           padding-right: 0.25rem;
         }
+        .card-list-status {
+          font-size: 0.875rem;
+          color: #6b7280;
+          text-align: center;
+        }
+        .show-more-button {
+          padding: 0.375rem;
+          font-size: 0.875rem;
+          color: #4f46e5;
+          background-color: #eef2ff;
+          border-radius: 0.5rem;
+        }
+        .show-more-button:hover {
+          background-color: #e0e7ff;
+        }
         .task-card {
           background-color: #fff;
           padding: 0.5rem;
@@ -426,6 +4042,29 @@ const App = () => {
           transition: box-shadow 150ms;
           border-left: 4px solid #6366f1;
         }
+        .task-card:focus {
+          outline: 2px solid #6366f1;
+          outline-offset: 2px;
+        }
+        .task-card.dragging {
+          opacity: 0.4;
+        }
+        .list-column.drag-over {
+          background-color: #e0e7ff;
+        }
+        .drop-indicator {
+          height: 3px;
+          border-radius: 2px;
+          background-color: #6366f1;
+        }
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+        }
         .task-card:hover {
           box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
         }
@@ -473,6 +4112,8 @@ const App = () => {
           box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
           width: 100%;
           max-width: 48rem;
+          max-height: 90vh;
+          overflow-y: auto;
           padding: 1.5rem;
           position: relative;
           display: flex;
@@ -604,6 +4245,43 @@ const App = () => {
           flex-direction: column;
           gap: 0.5rem;
         }
+        .member-row {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.375rem 0;
+          font-size: 0.875rem;
+        }
+        .member-label {
+          flex: 1;
+          color: #374151;
+          overflow-wrap: anywhere;
+        }
+        .member-role {
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .invitation-list {
+          margin-top: 1.5rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        .invitation-item {
+          padding: 0.75rem;
+          background-color: #eef2ff;
+          border-radius: 0.5rem;
+        }
+        .profile-form {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .profile-input {
+          padding: 0.375rem 0.5rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.5rem;
+          font-size: 0.875rem;
+        }
         .invite-input {
           width: 100%;
           padding: 0.5rem;
@@ -635,6 +4313,26 @@ const App = () => {
           border-radius: 0.5rem;
           box-shadow: 0 1px 2px 0 rgba(0, 0, 0, 0.05);
         }
+        .recs-item-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 0.5rem;
+        }
+        .recs-dismiss-button {
+          color: #9ca3af;
+          font-size: 1rem;
+          line-height: 1;
+        }
+        .recs-dismiss-button:hover {
+          color: #78350f;
+        }
+        .recs-confidence {
+          font-size: 0.625rem;
+          font-weight: 600;
+          color: #b45309;
+          margin-bottom: 0.25rem;
+        }
         .recs-rationale {
           font-size: 0.75rem;
           color: #6b7280;
@@ -646,7 +4344,15 @@ const App = () => {
           flex-direction: column;
           gap: 0.25rem;
         }
+        .related-card-row, .linked-card-row, .link-form {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
         .related-card-text {
+          flex-grow: 1;
+          min-width: 0;
+          text-align: left;
           font-size: 0.875rem;
           font-weight: 500;
           color: #b45309;
@@ -654,6 +4360,352 @@ const App = () => {
           overflow: hidden;
           text-overflow: ellipsis;
         }
+        .related-card-text:hover, .linked-card-title:hover {
+          text-decoration: underline;
+        }
+        .link-select {
+          padding: 0.25rem;
+          border: 1px solid #d1d5db;
+          border-radius: 0.375rem;
+          font-size: 0.75rem;
+          max-width: 10rem;
+        }
+        .linked-card-type {
+          font-size: 0.75rem;
+          color: #6b7280;
+          white-space: nowrap;
+        }
+        .linked-card-title {
+          flex-grow: 1;
+          min-width: 0;
+          text-align: left;
+          font-size: 0.875rem;
+          font-weight: 500;
+          color: #4338ca;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .blocker-status {
+          font-size: 0.625rem;
+          font-weight: 700;
+          text-transform: uppercase;
+          padding: 1px 6px;
+          border-radius: 9999px;
+        }
+        .blocker-open {
+          background-color: #fee2e2;
+          color: #b91c1c;
+        }
+        .blocker-done {
+          background-color: #d1fae5;
+          color: #047857;
+        }
+        .card-labels {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.25rem;
+          margin-bottom: 0.25rem;
+        }
+        .card-label {
+          padding: 0 0.375rem;
+          font-size: 0.7rem;
+          font-weight: 600;
+          color: #fff;
+          border-radius: 9999px;
+        }
+        .priority-badge {
+          display: inline-block;
+          margin-top: 0.25rem;
+          margin-right: 0.5rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+        .card-checklist-progress {
+          display: inline-block;
+          margin-top: 0.25rem;
+          margin-right: 0.5rem;
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .card-checklist-progress.complete {
+          color: #15803d;
+          font-weight: 600;
+        }
+        .checklist {
+          display: flex;
+          flex-direction: column;
+          gap: 0.375rem;
+        }
+        .checklist-progress {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .checklist-count {
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .checklist-bar {
+          flex: 1;
+          height: 0.375rem;
+          background-color: #e5e7eb;
+          border-radius: 9999px;
+          overflow: hidden;
+        }
+        .checklist-bar-fill {
+          height: 100%;
+          background-color: #22c55e;
+          transition: width 150ms;
+        }
+        .checklist-item {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.875rem;
+        }
+        .checklist-text {
+          flex: 1;
+          color: #374151;
+        }
+        .checklist-text.done {
+          text-decoration: line-through;
+          color: #9ca3af;
+        }
+        .checklist-input {
+          flex: 1;
+        }
+        .checklist-promote-button {
+          font-size: 0.75rem;
+          color: #4f46e5;
+        }
+        .checklist-promote-button:hover {
+          text-decoration: underline;
+        }
+        .card-assignees {
+          display: flex;
+          justify-content: flex-end;
+          gap: 0.125rem;
+          float: right;
+          margin-left: 0.25rem;
+        }
+        .avatar {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          flex-shrink: 0;
+          width: 1.5rem;
+          height: 1.5rem;
+          font-size: 0.625rem;
+          font-weight: 700;
+          color: #fff;
+          border-radius: 9999px;
+        }
+        .assignee-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.375rem;
+          padding: 0.125rem 0.625rem 0.125rem 0.125rem;
+          font-size: 0.75rem;
+          color: #374151;
+          border: 2px solid #e5e7eb;
+          border-radius: 9999px;
+        }
+        .assignee-chip.selected {
+          border-color: #6366f1;
+          background-color: #eef2ff;
+        }
+        .my-tasks-group {
+          margin-bottom: 1.5rem;
+        }
+        .my-task-row {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          width: 100%;
+          padding: 0.75rem;
+          margin-bottom: 0.5rem;
+          text-align: left;
+          background-color: #fff;
+          border-radius: 0.5rem;
+          box-shadow: 0 1px 2px 0 rgba(0, 0, 0, 0.05);
+        }
+        .my-task-row:hover {
+          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+        }
+        .my-task-title {
+          flex: 1;
+          font-weight: 500;
+          color: #1f2937;
+        }
+        .my-task-meta {
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+        .automation-rule {
+          display: flex;
+          align-items: flex-start;
+          gap: 0.5rem;
+          padding: 0.5rem 0;
+          border-bottom: 1px solid #f3f4f6;
+        }
+        .automation-rule-text {
+          flex: 1;
+        }
+        .automation-rule-name {
+          font-size: 0.875rem;
+          font-weight: 600;
+          color: #1f2937;
+        }
+        .automation-form {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          margin: 0.75rem 0;
+          padding: 0.75rem;
+          background-color: #f9fafb;
+          border-radius: 0.5rem;
+        }
+        .automation-days {
+          width: 5rem;
+          flex: none;
+        }
+        .automation-log {
+          max-height: 12rem;
+          overflow-y: auto;
+          font-size: 0.75rem;
+          color: #374151;
+        }
+        .automation-log li {
+          padding: 0.25rem 0;
+        }
+        .automation-log-time {
+          color: #9ca3af;
+        }
+        .automation-log li.skipped {
+          color: #b45309;
+        }
+        .automation-log li.failed {
+          color: #b91c1c;
+        }
+        .label-picker {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.375rem;
+        }
+        .label-chip {
+          padding: 0.125rem 0.625rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+          border: 2px solid;
+          border-radius: 9999px;
+          background-color: transparent;
+        }
+        .label-swatch {
+          flex-shrink: 0;
+          width: 1rem;
+          height: 1rem;
+          border-radius: 9999px;
+        }
+        .label-color-select {
+          width: auto;
+          flex: none;
+        }
+        .blocked-badge {
+          display: inline-block;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #b91c1c;
+        }
+        .sync-badge {
+          display: inline-block;
+          margin-top: 0.25rem;
+          margin-left: 0.5rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+        .sync-badge.pending {
+          color: #b45309;
+        }
+        .sync-badge.failed {
+          color: #b91c1c;
+        }
+        .sync-badge.synced {
+          color: #15803d;
+        }
+        .sync-indicator {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.875rem;
+          color: #4b5563;
+        }
+        .sync-dot {
+          width: 0.625rem;
+          height: 0.625rem;
+          border-radius: 9999px;
+        }
+        .sync-dot.online {
+          background-color: #22c55e;
+        }
+        .sync-dot.offline {
+          background-color: #9ca3af;
+        }
+        .sync-count {
+          color: #b45309;
+        }
+        .sync-count.sync-failed {
+          color: #b91c1c;
+        }
+        .form-error {
+          font-size: 0.75rem;
+          color: #b91c1c;
+        }
+        .presence-banner {
+          font-size: 0.875rem;
+          color: #92400e;
+          background-color: #fef3c7;
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+        }
+        .merge-prompt {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+          padding: 1rem;
+          border: 1px solid #fcd34d;
+          border-radius: 0.5rem;
+          background-color: #fffbeb;
+        }
+        .merge-field {
+          display: flex;
+          flex-direction: column;
+          gap: 0.375rem;
+        }
+        .merge-option {
+          display: flex;
+          align-items: flex-start;
+          gap: 0.5rem;
+          font-size: 0.875rem;
+        }
+        .merge-value {
+          white-space: pre-wrap;
+          color: #374151;
+        }
+        .merge-actions {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        .unlink-button {
+          color: #9ca3af;
+          font-size: 1rem;
+          line-height: 1;
+        }
+        .unlink-button:hover {
+          color: #ef4444;
+        }
         .recs-action-button {
           width: 100%;
           font-size: 0.875rem;
@@ -687,23 +4739,46 @@ const App = () => {
       `}</style>
       <header className="main-header">
         <h1 className="app-logo">Smart Kanban</h1>
-        <div className="user-info">Logged in User ID:<span className="user-id-mono">{userId || 'N/A'}</span></div>
+        <div className="header-right">
+          <SyncIndicator status={syncStatus} onRetry={() => storage.retryFailedWrites()} onDiscard={() => storage.discardFailedWrites()} />
+          <MentionsMenu mentions={mentions} boards={boards} onOpen={openMention} />
+          <ProfileEmailForm profile={profile} saveEmail={saveProfileEmail} />
+          <div className="user-info">Logged in User ID:<span className="user-id-mono">{userId || 'N/A'}</span></div>
+        </div>
       </header>
       <div className="main-flex">
         <aside className="sidebar">
+          <button className={`board-button ${view === 'myTasks' ? 'selected' : ''}`} onClick={() => setView('myTasks')}>My Tasks ({myTasks.filter(task => {
+            const board = boards.find(b => b.id === task.boardId);
+            return board && task.listId !== getDoneListId(getBoardLists(board));
+          }).length})</button>
           <h2 className="sidebar-title">Your Boards</h2>
           <div className="space-y-2">
             {boards.map(board => (
-              <button key={board.id} className={`board-button ${selectedBoardId === board.id ? 'selected' : ''}`} onClick={() => setSelectedBoardId(board.id)}>{board.name}</button>
+              <button key={board.id} className={`board-button ${view === 'board' && selectedBoardId === board.id ? 'selected' : ''}`} onClick={() => openBoard(board.id)}>{board.name}</button>
             ))}
           </div>
+          {invites.length > 0 && <InvitationList invites={invites} respondToInvite={respondToInvite} />}
           <div className="board-creation-area">
             <input type="text" placeholder="New Board Name" value={newBoardName} onChange={e => setNewBoardName(e.target.value)} className="board-input" />
+            {templates.length > 0 && (
+              <div className="template-picker">
+                <select className="template-select" aria-label="Board template" value={templateId} onChange={e => setTemplateId(e.target.value)}>
+                  <option value="">Empty board</option>
+                  {templates.map(template => (<option key={template.id} value={template.id}>{template.name} ({template.cards.length} cards)</option>))}
+                </select>
+                {templateId && (<button onClick={() => deleteTemplate(templateId)} className="list-delete-btn">Delete</button>)}
+              </div>
+            )}
             <button onClick={createNewBoard} disabled={!newBoardName} className="create-board-btn">Create Board</button>
+            {createBoardError && (<p className="form-error">{createBoardError}</p>)}
+            <BoardImport importBoard={importBoard} />
           </div>
         </aside>
         <main className="main-board-content">
-          <BoardView board={selectedBoard} cards={cards} lists={defaultLists} userId={userId} db={db} appId={appId} />
+          {view === 'myTasks' ? (
+            <MyTasksView tasks={myTasks} boards={boards} onOpen={task => { openBoard(task.boardId); setRequestedCardId(task.id); }} />
+          ) : (<BoardView key={selectedBoardId} board={selectedBoard} cards={cards || []} isLoadingCards={!cards} lists={boardLists} userId={userId} storage={storage} requestedCardId={requestedCardId} onCardRequestHandled={() => setRequestedCardId(null)} />)}
         </main>
       </div>
     </div>
@@ -0,0 +1,478 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  createLocalStorage, createOfflineStorage, getLocalUserId, buildNewCard, getCardWrite, getAutomationEffects, getCardMerge, toCsvValue, buildBoardCsv, mapTrelloBoard, mapExportedBoard, extractMentions, getKeyboardMove, getUnassignments, getFlowMetrics, getBoardHealthIssues
+} from './App';
+import { createRecommendationEngine } from './recommendationEngine';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); }
+  };
+};
+
+const storageEvent = (key, newValue) => Object.assign(new Event('storage'), { key, newValue });
+
+// Collects every result a subscription delivers.
+const watch = (storage, name, filters = []) => {
+  const results = [];
+  const unsubscribe = storage.subscribe(name, filters, items => results.push(items));
+  return { results, latest: () => results.at(-1), unsubscribe };
+};
+
+describe('createLocalStorage', () => {
+  it('delivers filtered query results and updates them on every write', async () => {
+    const storage = createLocalStorage('test', false);
+    const todo = watch(storage, 'cards', [['listId', '==', 'todo']]);
+    expect(todo.latest()).toEqual([]);
+    const id = await storage.add('cards', { title: 'Write docs', listId: 'todo' });
+    await storage.add('cards', { title: 'Ship it', listId: 'done' });
+    expect(todo.latest()).toEqual([{ id, title: 'Write docs', listId: 'todo' }]);
+    await storage.update('cards', id, { title: 'Write the docs' });
+    expect(todo.latest()[0].title).toBe('Write the docs');
+    await storage.remove('cards', id);
+    expect(todo.latest()).toEqual([]);
+  });
+
+  it('only notifies subscribers of the collection that changed', async () => {
+    const storage = createLocalStorage('test', false);
+    const boards = watch(storage, 'boards');
+    await storage.add('cards', { title: 'Card' });
+    expect(boards.results).toHaveLength(1);
+    boards.unsubscribe();
+    await storage.add('boards', { name: 'Board' });
+    expect(boards.results).toHaveLength(1);
+  });
+
+  it('matches array-contains filters', async () => {
+    const storage = createLocalStorage('test', false);
+    const mine = watch(storage, 'boards', [['members', 'array-contains', 'u1']]);
+    await storage.set('boards', 'b1', { members: ['u1', 'u2'] });
+    await storage.set('boards', 'b2', { members: ['u2'] });
+    expect(mine.latest().map(b => b.id)).toEqual(['b1']);
+  });
+
+  it('merges nested maps on set and replaces them on update', async () => {
+    const storage = createLocalStorage('test', false);
+    const boards = watch(storage, 'boards');
+    await storage.set('boards', 'b1', { name: 'Team', roles: { u1: 'editor' } });
+    await storage.set('boards', 'b1', { roles: { u2: 'viewer' } });
+    expect(boards.latest()[0]).toEqual({ id: 'b1', name: 'Team', roles: { u1: 'editor', u2: 'viewer' } });
+    await storage.update('boards', 'b1', { roles: { u3: 'editor' } });
+    expect(boards.latest()[0].roles).toEqual({ u3: 'editor' });
+  });
+
+  it('rejects updates to missing documents', async () => {
+    const storage = createLocalStorage('test', false);
+    await expect(storage.update('cards', 'missing', { title: 'x' })).rejects.toThrow('No cards document with id missing');
+    await expect(storage.appendUnique('cards', 'missing', 'listHistory', 'x')).rejects.toThrow('No cards document with id missing');
+  });
+
+  it('appends array values once and merges extra fields in the same write', async () => {
+    const storage = createLocalStorage('test', false);
+    const boards = watch(storage, 'boards');
+    await storage.set('boards', 'b1', { members: ['u1'], roles: { u1: 'editor' } });
+    await storage.appendUnique('boards', 'b1', 'members', 'u1');
+    await storage.appendUnique('boards', 'b1', 'members', 'u2', { roles: { u2: 'viewer' } });
+    expect(boards.latest()[0]).toEqual({ id: 'b1', members: ['u1', 'u2'], roles: { u1: 'editor', u2: 'viewer' } });
+  });
+
+  it('bumps the version on versioned updates and refuses stale ones', async () => {
+    const storage = createLocalStorage('test', false);
+    const cards = watch(storage, 'cards');
+    await storage.set('cards', 'c1', { title: 'Report' });
+    expect(await storage.updateVersioned('cards', 'c1', { title: 'Report v2' })).toBe(1);
+    expect(await storage.updateVersioned('cards', 'c1', { title: 'Report v3' }, 1)).toBe(2);
+    await expect(storage.updateVersioned('cards', 'c1', { title: 'Stale' }, 1)).rejects.toMatchObject({ code: 'version-conflict' });
+    await expect(storage.updateVersioned('cards', 'missing', { title: 'x' })).rejects.toThrow('No cards document with id missing');
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Report v3', version: 2 }]);
+  });
+
+  it('lets only the first claim of a map key succeed', async () => {
+    const storage = createLocalStorage('test', false);
+    const cards = watch(storage, 'cards');
+    await storage.set('cards', 'c1', { title: 'Report', automationRuns: { other: '2026-03-01' } });
+    expect(await storage.claim('cards', 'c1', 'automationRuns', 'rule1', '2026-03-10')).toBe(true);
+    expect(await storage.claim('cards', 'c1', 'automationRuns', 'rule1', '2026-03-10')).toBe(false);
+    expect(await storage.claim('cards', 'c1', 'automationRuns', 'rule1', '2026-03-12')).toBe(true);
+    expect(await storage.claim('cards', 'missing', 'automationRuns', 'rule1', '2026-03-10')).toBe(false);
+    expect(cards.latest()[0].automationRuns).toEqual({ other: '2026-03-01', rule1: '2026-03-12' });
+  });
+});
+
+describe('createLocalStorage with persistence', () => {
+  let page;
+  beforeEach(() => {
+    page = new EventTarget();
+    vi.stubGlobal('window', page);
+    vi.stubGlobal('localStorage', memoryStorage());
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('saves writes and loads them in a new adapter', async () => {
+    const first = createLocalStorage('app');
+    await first.set('boards', 'b1', { name: 'Team' });
+    first.dispose();
+    const second = watch(createLocalStorage('app'), 'boards');
+    expect(second.latest()).toEqual([{ id: 'b1', name: 'Team' }]);
+    expect(watch(createLocalStorage('other'), 'boards').latest()).toEqual([]);
+  });
+
+  it('starts empty when the saved data is unreadable', () => {
+    localStorage.setItem('smart-kanban:app', '{not json');
+    expect(watch(createLocalStorage('app'), 'boards').latest()).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('picks up changes other tabs make and ignores unreadable ones', () => {
+    const storage = createLocalStorage('app');
+    const boards = watch(storage, 'boards');
+    page.dispatchEvent(storageEvent('smart-kanban:app', JSON.stringify({ boards: { b1: { name: 'From another tab' } } })));
+    expect(boards.latest()).toEqual([{ id: 'b1', name: 'From another tab' }]);
+    page.dispatchEvent(storageEvent('smart-kanban:app', '{not json'));
+    page.dispatchEvent(storageEvent('smart-kanban:other', JSON.stringify({ boards: {} })));
+    expect(boards.results).toHaveLength(2);
+    expect(boards.latest()).toEqual([{ id: 'b1', name: 'From another tab' }]);
+  });
+
+  it('stops listening to other tabs once disposed', () => {
+    const storage = createLocalStorage('app');
+    const boards = watch(storage, 'boards');
+    storage.dispose();
+    page.dispatchEvent(storageEvent('smart-kanban:app', JSON.stringify({ boards: { b1: { name: 'Late' } } })));
+    expect(boards.results).toHaveLength(1);
+  });
+});
+
+// A server the tests can cut off: while unreachable, writes fail with a network error and listeners
+// repeat their last results marked as coming from the cache.
+const fakeServer = () => {
+  const base = createLocalStorage('server', false);
+  const listeners = new Set();
+  let reachable = true;
+  const guard = op => (...args) => reachable ? base[op](...args) : Promise.reject(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  const adapter = Object.fromEntries(['add', 'set', 'update', 'remove', 'appendUnique', 'updateVersioned', 'claim'].map(op => [op, guard(op)]));
+  adapter.subscribe = (name, filters, onData) => {
+    let fresh = [];
+    let shown = [];
+    const notify = () => {
+      if (reachable) shown = fresh;
+      onData(shown, { fromCache: !reachable });
+    };
+    const stop = base.subscribe(name, filters, items => { fresh = items; notify(); });
+    listeners.add(notify);
+    return () => { listeners.delete(notify); stop(); };
+  };
+  const setReachable = value => {
+    reachable = value;
+    listeners.forEach(notify => notify());
+  };
+  return { base, adapter, setReachable };
+};
+
+describe('createOfflineStorage', () => {
+  let server;
+  beforeEach(() => {
+    vi.stubGlobal('window', new EventTarget());
+    vi.stubGlobal('navigator', { onLine: true });
+    vi.stubGlobal('localStorage', memoryStorage());
+    server = fakeServer();
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('keeps saved results when a new listener first answers from an empty cache', async () => {
+    await server.base.set('cards', 'c1', { boardId: 'b1', title: 'Report' });
+    const first = createOfflineStorage(server.adapter, 'app');
+    watch(first, 'cards', [['boardId', '==', 'b1']]).unsubscribe();
+    first.dispose();
+    const saved = localStorage.getItem('smart-kanban:cache:app');
+    const offline = { ...server.adapter, subscribe: (name, filters, onData) => { onData([], { fromCache: true }); return () => {}; } };
+    const cards = watch(createOfflineStorage(offline, 'app'), 'cards', [['boardId', '==', 'b1']]);
+    expect(cards.latest()).toEqual([{ id: 'c1', boardId: 'b1', title: 'Report' }]);
+    expect(localStorage.getItem('smart-kanban:cache:app')).toBe(saved);
+  });
+
+  it('queues writes once the server is unreachable and replays them when it answers again', async () => {
+    await server.base.set('cards', 'c1', { title: 'Report', version: 0 });
+    const storage = createOfflineStorage(server.adapter, 'app');
+    const cards = watch(storage, 'cards');
+    const statuses = [];
+    storage.onSyncStatus(status => statuses.push(status));
+    server.setReachable(false);
+    expect(statuses.at(-1).online).toBe(false);
+    await storage.updateVersioned('cards', 'c1', { title: 'Report v2' });
+    expect(statuses.at(-1).writes).toMatchObject([{ name: 'cards', id: 'c1', status: 'pending' }]);
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Report v2', version: 1 }]);
+    server.setReachable(true);
+    await vi.waitFor(() => expect(statuses.at(-1).writes).toEqual([]));
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Report v2', version: 1 }]);
+    storage.dispose();
+  });
+
+  it('fails a queued update that meets newer edits and applies it on retry', async () => {
+    await server.base.set('cards', 'c1', { title: 'Report', version: 0 });
+    const storage = createOfflineStorage(server.adapter, 'app');
+    const cards = watch(storage, 'cards');
+    const statuses = [];
+    storage.onSyncStatus(status => statuses.push(status));
+    server.setReachable(false);
+    await storage.updateVersioned('cards', 'c1', { title: 'Mine' });
+    await server.base.updateVersioned('cards', 'c1', { title: 'Theirs' });
+    server.setReachable(true);
+    await vi.waitFor(() => expect(statuses.at(-1).writes).toMatchObject([{ status: 'failed', conflict: true }]));
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Theirs', version: 1 }]);
+    storage.retryFailedWrites();
+    await vi.waitFor(() => expect(statuses.at(-1).writes).toEqual([]));
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Mine', version: 2 }]);
+    storage.dispose();
+  });
+
+  it('replays a queued update over newer edits to other fields', async () => {
+    await server.base.set('cards', 'c1', { title: 'Report', priority: 'low', version: 0 });
+    const storage = createOfflineStorage(server.adapter, 'app');
+    const cards = watch(storage, 'cards');
+    const statuses = [];
+    storage.onSyncStatus(status => statuses.push(status));
+    server.setReachable(false);
+    await storage.updateVersioned('cards', 'c1', { title: 'Mine' });
+    await server.base.updateVersioned('cards', 'c1', { priority: 'high' });
+    server.setReachable(true);
+    await vi.waitFor(() => expect(statuses.at(-1).writes).toEqual([]));
+    expect(cards.latest()).toEqual([{ id: 'c1', title: 'Mine', priority: 'high', version: 2 }]);
+    storage.dispose();
+  });
+
+  it('leaves a write that times out with the server instead of queueing it again', async () => {
+    vi.useFakeTimers();
+    let answer;
+    const update = vi.fn(() => new Promise(resolve => { answer = resolve; }));
+    const storage = createOfflineStorage({ ...server.adapter, update }, 'app');
+    const statuses = [];
+    storage.onSyncStatus(status => statuses.push(status));
+    const saving = storage.update('cards', 'c1', { title: 'Slow' });
+    await vi.advanceTimersByTimeAsync(10000);
+    await saving;
+    expect(statuses.at(-1).writes).toMatchObject([{ id: 'c1', status: 'pending' }]);
+    answer();
+    await vi.waitFor(() => expect(statuses.at(-1).writes).toEqual([]));
+    expect(statuses.at(-1).synced).toEqual(['cards/c1']);
+    expect(update).toHaveBeenCalledTimes(1);
+    storage.dispose();
+    vi.useRealTimers();
+  });
+
+  it('holds saved writes until resumed', async () => {
+    await server.base.set('cards', 'c1', { title: 'Report' });
+    localStorage.setItem('smart-kanban:queue:app', JSON.stringify([{ key: 'w1', op: 'update', name: 'cards', id: 'c1', data: { title: 'Offline' }, status: 'pending' }]));
+    const update = vi.spyOn(server.adapter, 'update');
+    const storage = createOfflineStorage(server.adapter, 'app', { paused: true });
+    await Promise.resolve();
+    expect(update).not.toHaveBeenCalled();
+    storage.resume();
+    await vi.waitFor(() => expect(update).toHaveBeenCalledWith('cards', 'c1', { title: 'Offline' }));
+    storage.dispose();
+  });
+});
+
+describe('getLocalUserId', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('keeps the same id across calls', () => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    const id = getLocalUserId();
+    expect(id).toMatch(/^local-user_/);
+    expect(getLocalUserId()).toBe(id);
+  });
+
+  it('falls back to a session id when localStorage is unavailable', () => {
+    vi.stubGlobal('localStorage', { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(getLocalUserId()).toMatch(/^local-user_/);
+  });
+});
+
+describe('getCardWrite', () => {
+  const MOVED_AT = '2026-03-02T09:00:00.000Z';
+
+  it('appends the move of a new card that a card-created automation moves', () => {
+    const created = { id: 'c1', ...buildNewCard('b1', 'todo', 1024, 'u1', { title: 'New card' }, '2026-03-01T09:00:00.000Z') };
+    const { updates } = getAutomationEffects({ actions: [{ type: 'move', listId: 'doing' }] }, created);
+    expect(getCardWrite(created, updates, MOVED_AT)).toEqual({ updates: { listId: 'doing' }, transition: { listId: 'doing', enteredAt: MOVED_AT } });
+  });
+
+  it('starts the history of a card without one from its starting list', () => {
+    const card = { id: 'c1', listId: 'todo', createdAt: '2026-03-01T09:00:00.000Z' };
+    expect(getCardWrite(card, { listId: 'doing' }, MOVED_AT)).toEqual({
+      updates: { listId: 'doing', listHistory: [{ listId: 'todo', enteredAt: '2026-03-01T09:00:00.000Z' }, { listId: 'doing', enteredAt: MOVED_AT }] },
+      transition: null
+    });
+  });
+
+  it('never writes a history entry without a time', () => {
+    expect(getCardWrite({ id: 'c1', listId: 'todo' }, { listId: 'doing' }, MOVED_AT).updates.listHistory).toEqual([{ listId: 'doing', enteredAt: MOVED_AT }]);
+  });
+
+  it('leaves updates that do not move the card alone', () => {
+    const card = { id: 'c1', listId: 'todo' };
+    expect(getCardWrite(card, { title: 'Renamed' })).toEqual({ updates: { title: 'Renamed' }, transition: null });
+    expect(getCardWrite(card, { listId: 'todo' })).toEqual({ updates: { listId: 'todo' }, transition: null });
+  });
+});
+
+describe('getCardMerge', () => {
+  it('moves the duplicate\'s links, checklist, assignees and labels to the target', () => {
+    const target = { id: 't', links: [{ cardId: 'a', type: 'relates' }, { cardId: 'd', type: 'relates' }], checklist: [{ id: 'i1', text: 'Write', done: true }], assigneeIds: ['u1'], labelIds: ['bug'] };
+    const duplicate = {
+      id: 'd', links: [{ cardId: 'a', type: 'blocks' }, { cardId: 'b', type: 'blocked_by' }, { cardId: 't', type: 'relates' }],
+      checklist: [{ id: 'i2', text: 'Write', done: false }, { id: 'i3', text: 'Review', done: false }], assigneeIds: ['u1', 'u2'], labelIds: ['ui']
+    };
+    expect(getCardMerge(target, duplicate, [target, duplicate]).updates).toEqual({
+      links: [{ cardId: 'a', type: 'relates' }, { cardId: 'b', type: 'blocked_by' }],
+      checklist: [{ id: 'i1', text: 'Write', done: true }, { id: 'i3', text: 'Review', done: false }],
+      assigneeIds: ['u1', 'u2'], labelIds: ['bug', 'ui']
+    });
+  });
+
+  it('points other cards\' links at the target', () => {
+    const target = { id: 't', links: [] };
+    const duplicate = { id: 'd', links: [{ cardId: 'b', type: 'blocks' }] };
+    const blocked = { id: 'b', links: [{ cardId: 'd', type: 'blocked_by' }, { cardId: 'x', type: 'relates' }] };
+    const both = { id: 'c', links: [{ cardId: 't', type: 'relates' }, { cardId: 'd', type: 'relates' }] };
+    expect(getCardMerge(target, duplicate, [target, duplicate, blocked, both, { id: 'x' }]).relinked).toEqual([
+      { id: 'b', links: [{ cardId: 't', type: 'blocked_by' }, { cardId: 'x', type: 'relates' }] },
+      { id: 'c', links: [{ cardId: 't', type: 'relates' }] }
+    ]);
+  });
+});
+
+describe('board export and import', () => {
+  it('escapes formula-like CSV cells but leaves negative numbers alone', () => {
+    expect(toCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(toCsvValue('+1')).toBe("'+1");
+    expect(toCsvValue('@ana')).toBe("'@ana");
+    expect(toCsvValue('-cmd')).toBe("'-cmd");
+    expect(toCsvValue(-1024)).toBe('-1024');
+    expect(toCsvValue('-0.5')).toBe('-0.5');
+    expect(toCsvValue('a, "b"')).toBe('"a, ""b"""');
+    expect(toCsvValue(null)).toBe('');
+  });
+
+  it('writes recurrence and checklist columns to CSV', () => {
+    const csv = buildBoardCsv([{ id: 'c1', title: 'Standup', listId: 'todo', recurrence: { frequency: 'daily' }, checklist: [{ text: 'Notes', done: true }, { text: 'Share', done: false }] }], [{ id: 'todo', title: 'To Do' }], []);
+    const [header, row] = csv.split('\r\n').map(line => line.split(','));
+    expect(row[header.indexOf('recurrence')]).toBe('Daily');
+    expect(row[header.indexOf('checklist')]).toBe('[x] Notes;[ ] Share');
+  });
+
+  it('takes Trello creation times from card ids', () => {
+    const board = mapTrelloBoard({
+      lists: [{ id: 'l1', name: 'To Do' }],
+      cards: [{ id: '5f5e1000aaaaaaaaaaaaaaaa', name: 'Old card', idList: 'l1', dateLastActivity: '2026-10-01T00:00:00.000Z' }, { id: 'custom', name: 'Odd id', idList: 'l1' }]
+    });
+    expect(board.cards[0].createdAt).toBe(new Date(0x5f5e1000 * 1000).toISOString());
+    expect(board.cards[1]).not.toHaveProperty('createdAt');
+  });
+
+  it('drops versions, bookkeeping and assignees from exported cards', () => {
+    const board = mapExportedBoard({
+      board: { name: 'Team', lists: [{ id: 'todo', title: 'To Do' }] },
+      cards: [{
+        id: 'c1', title: 'Report', listId: 'todo', version: 7, automationRuns: { r1: '2026-03-01' }, nextOccurrenceId: 'c2', previousOccurrenceId: 'c0',
+        dismissedRecs: ['date:x'], assigneeIds: ['someone-else'], checklist: []
+      }]
+    });
+    expect(board.cards).toEqual([{ sourceId: 'c1', title: 'Report', listId: 'todo', labelIds: [], checklist: [] }]);
+    expect(board.unmapped).toContain('1 card(s) had assignees, which were not imported.');
+  });
+});
+
+describe('extractMentions', () => {
+  const members = [{ id: 'u1', label: 'ana' }, { id: 'u2', label: 'ana.lee@example.com' }];
+
+  it('matches a label followed by whitespace or punctuation', () => {
+    expect(extractMentions('Thanks @ana, can you check?', members)).toEqual(['u1']);
+    expect(extractMentions('Ask @ana.', members)).toEqual(['u1']);
+  });
+
+  it('ignores a label that continues into a longer name or email', () => {
+    expect(extractMentions('Ping @anabel about it', members)).toEqual([]);
+    expect(extractMentions('Mail @ana.lee@example.com instead', members)).toEqual(['u2']);
+    expect(extractMentions('Mail @ana-maria', members)).toEqual([]);
+  });
+});
+
+describe('getKeyboardMove', () => {
+  const lists = [{ id: 'todo' }, { id: 'doing' }, { id: 'done' }];
+  const card = { id: 'c1', listId: 'doing' };
+
+  it('steps to the neighbouring list or position', () => {
+    expect(getKeyboardMove(lists, { list: '' }, card, 2, 'ArrowRight')).toEqual({ listId: 'done', index: 2 });
+    expect(getKeyboardMove(lists, { list: '' }, card, 2, 'ArrowUp')).toEqual({ listId: 'doing', index: 1 });
+    expect(getKeyboardMove(lists, { list: '' }, card, 0, 'ArrowUp')).toBeNull();
+  });
+
+  it('never moves a card into a list the filter hides', () => {
+    expect(getKeyboardMove(lists, { list: 'doing' }, card, 0, 'ArrowLeft')).toBeNull();
+    expect(getKeyboardMove(lists, { list: 'doing' }, card, 0, 'ArrowRight')).toBeNull();
+    expect(getKeyboardMove(lists, { list: 'doing' }, card, 0, 'ArrowDown')).toEqual({ listId: 'doing', index: 1 });
+  });
+});
+
+describe('getUnassignments', () => {
+  it('takes only the leaving member off the cards they are assigned to', () => {
+    const cards = [{ id: 'c1', assigneeIds: ['u1', 'u2'] }, { id: 'c2', assigneeIds: ['u2'] }, { id: 'c3' }];
+    expect(getUnassignments(cards, 'u1')).toEqual([{ card: cards[0], updates: { assigneeIds: ['u2'] } }]);
+    expect(getUnassignments(cards, 'u2').map(({ updates }) => updates)).toEqual([{ assigneeIds: ['u1'] }, { assigneeIds: [] }]);
+    expect(getUnassignments(cards, 'u3')).toEqual([]);
+  });
+});
+
+describe('getFlowMetrics', () => {
+  const lists = [{ id: 'todo' }, { id: 'doing' }, { id: 'done' }];
+  const move = (card, listId, enteredAt) => {
+    const { updates, transition } = getCardWrite(card, { listId }, enteredAt);
+    return { ...card, ...updates, listHistory: transition ? [...updates.listHistory ?? card.listHistory, transition] : updates.listHistory };
+  };
+
+  it('measures a card that predates list tracking from its starting list', () => {
+    const legacy = { id: 'c1', listId: 'todo', createdAt: '2026-03-01T09:00:00.000Z' };
+    const done = move(move(legacy, 'doing', '2026-03-03T09:00:00.000Z'), 'done', '2026-03-05T09:00:00.000Z');
+    const metrics = getFlowMetrics([done], lists, new Date('2026-03-06T09:00:00.000Z'));
+    expect(metrics.lead).toEqual({ median: 4, p85: 4, count: 1 });
+    expect(metrics.cycle).toEqual({ median: 2, p85: 2, count: 1 });
+    expect(metrics.cfd.find(({ day }) => day.getTime() === new Date(2026, 2, 2).getTime()).counts).toEqual({ todo: 1, doing: 0, done: 0 });
+  });
+});
+
+describe('getBoardHealthIssues', () => {
+  const lists = [{ id: 'todo', title: 'To Do' }, { id: 'doing', title: 'Doing' }, { id: 'done', title: 'Done' }];
+  const engine = createRecommendationEngine({ now: () => new Date(2026, 2, 10, 12) });
+  const cards = [
+    { id: 'c1', title: 'Late', listId: 'todo', dueDate: '2026-03-08', createdAt: '2026-03-09T00:00:00.000Z' },
+    { id: 'c2', title: 'Idle', listId: 'doing', createdAt: '2026-03-01T00:00:00.000Z' }
+  ];
+
+  it('dates issues by the engine\'s clock', () => {
+    const issues = getBoardHealthIssues(cards, lists, [], {}, engine, {});
+    expect(issues.map(issue => [issue.check, issue.card.id])).toEqual([['overdue', 'c1'], ['stale', 'c2']]);
+    expect(issues[0].rec).toMatchObject({ type: 'date', action: '2026-03-11' });
+    expect(issues[1].rec).toMatchObject({ type: 'move', action: 'todo' });
+  });
+
+  it('keeps the issues but offers no fix when the board turned that recommender off', () => {
+    const issues = getBoardHealthIssues(cards, lists, [], {}, engine, { date: { enabled: false }, move: { enabled: false } });
+    expect(issues.map(issue => [issue.check, issue.rec])).toEqual([['overdue', null], ['stale', null]]);
+  });
+});
\ No newline at end of file
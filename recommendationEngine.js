@@ -0,0 +1,408 @@
+// Pure recommendation engine shared by the board UI and its tests. Nothing here touches React,
+// Firebase or the system clock: functions that need the current time take it as an argument, and
+// createRecommendationEngine injects a clock so results are reproducible.
+
+export const getDoneListId = lists => lists[lists.length - 1]?.id;
+
+export const PRIORITIES = {
+  urgent: { label: 'Urgent', color: '#dc2626', rank: 3 },
+  high: { label: 'High', color: '#f97316', rank: 2 },
+  medium: { label: 'Medium', color: '#eab308', rank: 1 },
+  low: { label: 'Low', color: '#22c55e', rank: 0 }
+};
+
+export const getPriorityRank = priority => PRIORITIES[priority]?.rank ?? -1;
+
+export const formatLocalDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const parseLocalDate = value => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Lands on the last day of the target month when it is shorter, so Jan 31 plus one month is Feb 28.
+export const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+};
+
+const STEP_PATTERN = /^\s*(\d+[.)]|[-*•])\s+(?:\[([ xX])\]\s+)?(.+?)\s*$/;
+
+export const extractSteps = description => (description || '').split(/\r?\n/).map(line => ({ line, match: line.match(STEP_PATTERN) })).filter(({ match }) => match)
+  .map(({ line, match }) => ({ line, text: match[3], done: Boolean(match[2]?.trim()), numbered: /\d/.test(match[1]) }));
+
+export const hashString = text => [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) | 0, 7).toString(36);
+
+export const getBlockerIds = card => (card.links || []).filter(l => l.type === 'blocked_by').map(l => l.cardId);
+
+export const getOpenBlockers = (card, allCards, lists) => {
+  const doneListId = getDoneListId(lists);
+  return getBlockerIds(card).map(id => allCards.find(c => c.id === id)).filter(blocker => blocker && blocker.listId !== doneListId);
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const NEGATION_PATTERN = /\b(?:not|no|never|without|isn't|aren't|(?:don't|doesn't|won't)\s+\w+)\s+$/i;
+
+// A negation directly before a match skips it ("not urgent"), as does a negated verb ("don't ship
+// tomorrow"), but "not due until Friday" still reads Friday.
+const isNegated = (text, index) => NEGATION_PATTERN.test(text.slice(Math.max(0, index - 30), index));
+
+const buildCalendarDate = (year, monthIndex, day) => {
+  const date = new Date(year, monthIndex, day);
+  return date.getMonth() === monthIndex && date.getDate() === day ? date : null;
+};
+
+// Lowercase "may" is far more often the verb ("we may 20 users"), so only a capitalised May is a month.
+const resolveMonthDay = (monthName, day, year, today) => {
+  if (monthName === 'may') return null;
+  const monthIndex = MONTH_PREFIXES.indexOf(monthName.slice(0, 3).toLowerCase());
+  if (year) return buildCalendarDate(Number(year), monthIndex, Number(day));
+  const thisYear = buildCalendarDate(today.getFullYear(), monthIndex, Number(day));
+  return thisYear && thisYear < today ? buildCalendarDate(today.getFullYear() + 1, monthIndex, Number(day)) : thisYear;
+};
+
+// Ordered from most to least specific: the first pattern with a non-negated match wins.
+const DUE_DATE_PATTERNS = [
+  { kind: 'iso-date', regex: /\b(\d{4})-(\d{2})-(\d{2})\b/gi, resolve: m => buildCalendarDate(Number(m[1]), Number(m[2]) - 1, Number(m[3])) },
+  { kind: 'month-day', regex: new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'), resolve: (m, today) => resolveMonthDay(m[1], m[2], m[3], today) },
+  { kind: 'day-month', regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'), resolve: (m, today) => resolveMonthDay(m[2], m[1], m[3], today) },
+  {
+    kind: 'relative-span',
+    regex: /\b(?:(?:in|within)\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)|(\d+))\s+(day|week|month)s?\b(?!\s+(?:ago|earlier)\b)/gi,
+    resolve: (m, today) => {
+      const count = m[1] || m[2];
+      const amount = /^\d+$/.test(count) ? Number(count) : NUMBER_WORDS[count.toLowerCase()];
+      const unit = m[3].toLowerCase();
+      if (unit === 'month') return addMonths(today, amount);
+      return addDays(today, unit === 'week' ? amount * 7 : amount);
+    }
+  },
+  {
+    kind: 'end-of-period',
+    regex: /\b(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(week|month)\b/gi,
+    resolve: (m, today) => m[1].toLowerCase() === 'month'
+      ? new Date(today.getFullYear(), today.getMonth() + 1, 0)
+      : addDays(today, (5 - today.getDay() + 7) % 7)
+  },
+  {
+    kind: 'weekday',
+    regex: new RegExp(`\\b(?:(?:by|on|before|until|this|next)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'gi'),
+    resolve: (m, today) => {
+      const daysAhead = (WEEKDAYS.indexOf(m[1].toLowerCase()) - today.getDay() + 7) % 7;
+      return addDays(today, daysAhead === 0 && /^next/i.test(m[0]) ? 7 : daysAhead);
+    }
+  },
+  { kind: 'next-month', regex: /\bnext\s+month\b/gi, resolve: (m, today) => addMonths(today, 1) },
+  { kind: 'next-week', regex: /\bnext\s+week\b/gi, resolve: (m, today) => addDays(today, 7) },
+  { kind: 'tomorrow', regex: /\b(?:tomorrow|next\s+day)\b/gi, resolve: (m, today) => addDays(today, 1) },
+  { kind: 'urgent', regex: /\b(?:today|tonight|urgent(?:ly)?|asap|end\s+of\s+(?:the\s+)?day|eod)\b/gi, resolve: (m, today) => today }
+];
+
+export const extractDueDate = (text, now) => {
+  const today = startOfDay(now);
+  for (const { kind, regex, resolve } of DUE_DATE_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      if (isNegated(text, match.index)) continue;
+      const date = resolve(match, today);
+      if (date && date >= today) return { date, dueDate: formatLocalDate(date), phrase: match[0].trim(), kind };
+    }
+  }
+  return null;
+};
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'being', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'here', 'how', 'into', 'its', 'just',
+  'more', 'most', 'need', 'needs', 'not', 'now', 'off', 'once', 'only', 'other', 'our', 'out', 'over', 'own', 'same', 'should', 'some',
+  'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'too', 'under', 'until',
+  'very', 'was', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'add', 'details',
+  'new', 'task', 'is', 'of', 'to', 'in', 'on', 'my', 'we', 'it', 'or', 'if', 'so', 'up'
+]);
+
+const STEM_SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'], ['ements', ''], ['ement', ''], ['ments', ''], ['ment', ''],
+  ['ations', 'ate'], ['ation', 'ate'], ['ingly', ''], ['ings', ''], ['ing', ''], ['edly', ''], ['ied', 'y'], ['ies', 'y'], ['ed', ''],
+  ['sses', 'ss'], ['ers', ''], ['er', ''], ['ly', ''], ['s', '']
+];
+
+export const stemWord = word => {
+  for (const [suffix, replacement] of STEM_SUFFIXES) {
+    if (!word.endsWith(suffix) || word.length - suffix.length < 3) continue;
+    if (suffix === 's' && word.endsWith('ss')) break;
+    let stem = word.slice(0, -suffix.length) + replacement;
+    if (/(ing|ed)$/.test(suffix) && /([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+    return stem.replace(/e$/, '');
+  }
+  return word.replace(/e$/, '');
+};
+
+export const tokenize = text => text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(w => w.length > 2 && !STOP_WORDS.has(w)).map(stemWord);
+
+const getCardText = card => card.title + ' ' + (card.description || '');
+
+const buildTermStats = cards => {
+  const termCounts = new Map();
+  const documentFrequency = new Map();
+  cards.forEach(card => {
+    const counts = new Map();
+    tokenize(getCardText(card)).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    termCounts.set(card.id, counts);
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  return { termCounts, documentFrequency, documentCount: cards.length };
+};
+
+const getTfIdfVector = (counts, stats) => {
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  const vector = new Map();
+  counts.forEach((count, term) => {
+    const idf = Math.log((1 + stats.documentCount) / (1 + (stats.documentFrequency.get(term) || 0))) + 1;
+    vector.set(term, (count / total) * idf);
+  });
+  return vector;
+};
+
+export const getCosineSimilarity = (vectorA, vectorB) => {
+  if (vectorA.size === 0 || vectorB.size === 0) return 0;
+  let dot = 0;
+  vectorA.forEach((weight, term) => { dot += weight * (vectorB.get(term) || 0); });
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  return dot / (norm(vectorA) * norm(vectorB));
+};
+
+// TF-IDF is computed over the whole board, so a term shared by every card counts for little.
+export const getSimilarCards = (card, allCards, minSimilarity = 0) => {
+  const stats = buildTermStats(allCards.some(c => c.id === card.id) ? allCards : [...allCards, card]);
+  const vectorFor = c => getTfIdfVector(stats.termCounts.get(c.id) || new Map(), stats);
+  const cardVector = vectorFor(card);
+  return allCards.filter(c => c.id !== card.id)
+    .map(otherCard => ({ card: otherCard, similarity: getCosineSimilarity(cardVector, vectorFor(otherCard)) }))
+    .filter(item => item.similarity > 0 && item.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+// Each similar labeled card votes for its labels, weighted by how similar it is.
+export const getLabelSuggestions = (card, similarCards, labels, { voteThreshold, limit }) => {
+  const labeled = similarCards.filter(item => item.card.labelIds?.length);
+  const totalWeight = labeled.reduce((sum, item) => sum + item.similarity, 0);
+  if (totalWeight === 0) return [];
+  return labels.filter(label => !(card.labelIds || []).includes(label.id)).map(label => {
+    const supporters = labeled.filter(item => item.card.labelIds.includes(label.id));
+    return { label, supporters, score: supporters.reduce((sum, item) => sum + item.similarity, 0) / totalWeight };
+  }).filter(s => s.supporters.length > 0 && s.score >= voteThreshold).sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Experience is the similarity-weighted count of similar cards a member is assigned to; each open card
+// they already carry lowers their score so work spreads across the board.
+export const getAssigneeSuggestion = (card, similarCards, allCards, lists, members, workloadPenalty) => {
+  const doneListId = getDoneListId(lists);
+  const candidates = members.filter(m => m.role === 'owner' || m.role === 'editor').map(member => {
+    const handled = similarCards.filter(item => (item.card.assigneeIds || []).includes(member.id));
+    const openCount = allCards.filter(c => c.listId !== doneListId && (c.assigneeIds || []).includes(member.id)).length;
+    const experience = handled.reduce((sum, item) => sum + item.similarity, 0);
+    return { member, handled, openCount, score: experience / (1 + workloadPenalty * openCount) };
+  }).filter(candidate => candidate.handled.length > 0);
+  return candidates.sort((a, b) => b.score - a.score || a.openCount - b.openCount)[0] || null;
+};
+
+const PRIORITY_KEYWORDS = [
+  { priority: 'urgent', regex: /\b(urgent|asap|critical|emergency|outage|hotfix|immediately)\b/g },
+  { priority: 'high', regex: /\b(important|high priority|blocker|security|customer-facing)\b/g },
+  { priority: 'low', regex: /\b(nice to have|someday|low priority|whenever|minor)\b/g }
+];
+
+const findPriorityKeyword = text => {
+  for (const { priority, regex } of PRIORITY_KEYWORDS) {
+    const match = [...text.matchAll(regex)].find(m => !isNegated(text, m.index));
+    if (match) return { priority, phrase: match[0] };
+  }
+  return null;
+};
+
+export const getPrioritySignal = (card, now, { urgentDays, highDays, mediumDays }) => {
+  const signals = [];
+  const text = getCardText(card).toLowerCase();
+  const keyword = findPriorityKeyword(text);
+  if (keyword) signals.push({ priority: keyword.priority, trigger: 'urgency-words', rationale: `The card mentions "${keyword.phrase}".` });
+  if (card.dueDate) {
+    const daysLeft = Math.round((parseLocalDate(card.dueDate) - startOfDay(now)) / 86400000);
+    const priority = daysLeft <= urgentDays ? 'urgent' : daysLeft <= highDays ? 'high' : daysLeft <= mediumDays ? 'medium' : null;
+    const when = daysLeft < 0 ? 'is overdue' : daysLeft === 0 ? 'is due today' : `is due in ${daysLeft} day(s)`;
+    if (priority) signals.push({ priority, trigger: 'due-soon', rationale: `The card ${when}.` });
+  }
+  return signals.sort((a, b) => getPriorityRank(b.priority) - getPriorityRank(a.priority))[0] || null;
+};
+
+const STARTED_KEYWORDS = ['started', 'working on'];
+const COMPLETE_KEYWORDS = ['done', 'complete'];
+
+// A recommender has a type, a label, a base confidence, numeric options (each with a default value
+// and the range a board may set) and recommend(card, context, settings), which returns recommendations.
+export const dateRecommender = {
+  type: 'date', label: 'Due dates', baseConfidence: 0.7, options: {},
+  recommend: (card, { now }) => {
+    const extracted = !card.dueDate && extractDueDate(getCardText(card), now);
+    return extracted ? [{ type: 'date', trigger: extracted.kind, key: `date:${extracted.phrase.toLowerCase()}`, text: `Suggest Due Date: ${extracted.dueDate}`, action: extracted.dueDate, rationale: `Based on "${extracted.phrase}" in the card text.` }] : [];
+  }
+};
+
+export const moveRecommender = {
+  type: 'move', label: 'List moves', baseConfidence: 0.6, options: {},
+  recommend: (card, { allCards, lists }) => {
+    const content = getCardText(card).toLowerCase();
+    const listIndex = lists.findIndex(l => l.id === card.listId);
+    const doneList = lists[lists.length - 1];
+    const openBlockers = getOpenBlockers(card, allCards, lists);
+    if (listIndex === 0 && lists.length > 1 && getBlockerIds(card).length > 0 && openBlockers.length === 0) {
+      return [{ type: 'move', trigger: 'blockers-cleared', key: `move:blockers-cleared:${lists[1].id}`, text: `Suggest Move: ${lists[1].title}`, action: lists[1].id, rationale: 'All blocking cards are done.' }];
+    }
+    if (listIndex === 0 && lists.length > 1 && STARTED_KEYWORDS.some(keyword => content.includes(keyword))) {
+      return [{ type: 'move', trigger: 'started-keywords', key: `move:started-keywords:${lists[1].id}`, text: `Suggest Move: ${lists[1].title}`, action: lists[1].id, rationale: 'Keywords suggest work has begun.' }];
+    }
+    if (listIndex > 0 && listIndex < lists.length - 1 && COMPLETE_KEYWORDS.some(keyword => content.includes(keyword))) {
+      const warning = openBlockers.length > 0 ? ` Still blocked by: ${openBlockers.map(b => b.title).join(', ')}.` : '';
+      return [{ type: 'move', trigger: 'complete-keywords', key: `move:complete-keywords:${doneList.id}`, text: `Suggest Move: ${doneList.title}`, action: doneList.id, rationale: `Keywords suggest task is complete.${warning}` }];
+    }
+    return [];
+  }
+};
+
+export const duplicateRecommender = {
+  type: 'duplicate', label: 'Duplicates', baseConfidence: 0.8,
+  options: {
+    threshold: { label: 'Minimum similarity', value: 0.8, min: 0.5, max: 1, step: 0.05 },
+    limit: { label: 'Most suggestions', value: 2, min: 1, max: 5, step: 1 }
+  },
+  recommend: (card, { getSimilarCards }, { threshold, limit }) => getSimilarCards().filter(item => item.similarity >= threshold).slice(0, limit).map(item => ({
+    type: 'duplicate', trigger: 'high-similarity', key: `duplicate:${item.card.id}`, text: `Merge "${item.card.title}" into this card`, card: item.card, similarity: item.similarity, rationale: `Possible duplicate: ${(item.similarity * 100).toFixed(0)}% similar content.`
+  }))
+};
+
+export const labelRecommender = {
+  type: 'label', label: 'Labels', baseConfidence: 0.6,
+  options: {
+    similarity: { label: 'Minimum similarity', value: 0.2, min: 0, max: 1, step: 0.05 },
+    voteThreshold: { label: 'Share of votes', value: 0.5, min: 0, max: 1, step: 0.05 },
+    limit: { label: 'Most suggestions', value: 2, min: 1, max: 5, step: 1 }
+  },
+  recommend: (card, { getSimilarCards, labels }, settings) => getLabelSuggestions(card, getSimilarCards().filter(item => item.similarity >= settings.similarity), labels, settings).map(({ label, supporters }) => ({
+    type: 'label', trigger: 'similar-cards', key: `label:${label.id}`, text: `Add Label: ${label.name}`, action: label.id, rationale: `Used on ${supporters.length} similar card(s), such as "${supporters[0].card.title}".`
+  }))
+};
+
+export const priorityRecommender = {
+  type: 'priority', label: 'Priority', baseConfidence: 0.55,
+  options: {
+    urgentDays: { label: 'Urgent within (days)', value: 1, min: 0, max: 30, step: 1 },
+    highDays: { label: 'High within (days)', value: 3, min: 0, max: 30, step: 1 },
+    mediumDays: { label: 'Medium within (days)', value: 7, min: 0, max: 60, step: 1 }
+  },
+  recommend: (card, { lists, now }, settings) => {
+    const signal = card.listId !== getDoneListId(lists) && getPrioritySignal(card, now, settings);
+    if (!signal || getPriorityRank(signal.priority) <= getPriorityRank(card.priority) || (card.priority && signal.priority === 'low')) return [];
+    return [{ type: 'priority', trigger: signal.trigger, key: `priority:${signal.priority}`, text: `Set Priority: ${PRIORITIES[signal.priority].label}`, action: signal.priority, rationale: signal.rationale }];
+  }
+};
+
+export const assigneeRecommender = {
+  type: 'assignee', label: 'Assignees', baseConfidence: 0.55,
+  options: {
+    similarity: { label: 'Minimum similarity', value: 0.2, min: 0, max: 1, step: 0.05 },
+    workloadPenalty: { label: 'Penalty per open card', value: 0.15, min: 0, max: 1, step: 0.05 }
+  },
+  recommend: (card, { getSimilarCards, allCards, lists, members }, settings) => {
+    if ((card.assigneeIds || []).length > 0 || card.listId === getDoneListId(lists)) return [];
+    const suggestion = getAssigneeSuggestion(card, getSimilarCards().filter(item => item.similarity >= settings.similarity), allCards, lists, members, settings.workloadPenalty);
+    if (!suggestion) return [];
+    const { member, handled, openCount } = suggestion;
+    return [{ type: 'assignee', trigger: 'similar-cards', key: `assignee:${member.id}`, text: `Assign ${member.label}`, action: member.id, rationale: `Handled ${handled.length} similar card(s), such as "${handled[0].card.title}", and has ${openCount} open card(s).` }];
+  }
+};
+
+export const splitRecommender = {
+  type: 'split', label: 'Checklists', baseConfidence: 0.65,
+  options: { minSteps: { label: 'Fewest steps', value: 2, min: 2, max: 10, step: 1 } },
+  recommend: (card, context, { minSteps }) => {
+    const checklistTexts = (card.checklist || []).map(item => item.text.toLowerCase());
+    const steps = extractSteps(card.description).filter(step => !checklistTexts.includes(step.text.toLowerCase()));
+    if (steps.length < minSteps) return [];
+    const kind = steps.every(step => step.numbered) ? 'numbered' : 'bulleted';
+    return [{ type: 'split', trigger: `${kind}-steps`, key: `split:${hashString(steps.map(step => step.text).join('\n'))}`, text: `Track ${steps.length} steps`, steps, rationale: `The description lists ${steps.length} ${kind} steps.` }];
+  }
+};
+
+export const relatedRecommender = {
+  type: 'related', label: 'Related cards', baseConfidence: 0.5,
+  options: {
+    threshold: { label: 'Minimum similarity', value: 0.2, min: 0, max: 1, step: 0.05 },
+    maxSimilarity: { label: 'Below similarity', value: 0.8, min: 0, max: 1, step: 0.05 },
+    limit: { label: 'Most cards', value: 3, min: 1, max: 10, step: 1 }
+  },
+  recommend: (card, { getSimilarCards }, { threshold, maxSimilarity, limit }) => {
+    const relatedCards = getSimilarCards().filter(item => item.similarity >= threshold && item.similarity < maxSimilarity).slice(0, limit);
+    return relatedCards.length > 0 ? [{ type: 'related', trigger: 'content-similarity', key: `related:${relatedCards.map(item => item.card.id).sort().join(',')}`, text: 'Suggested Related Cards:', cards: relatedCards, rationale: 'Content similarity analysis.' }] : [];
+  }
+};
+
+export const DEFAULT_RECOMMENDERS = [dateRecommender, moveRecommender, duplicateRecommender, labelRecommender, priorityRecommender, assigneeRecommender, splitRecommender, relatedRecommender];
+
+export const REC_TYPE_LABELS = Object.fromEntries(DEFAULT_RECOMMENDERS.map(recommender => [recommender.type, recommender.label]));
+export const REC_BASE_CONFIDENCE = Object.fromEntries(DEFAULT_RECOMMENDERS.map(recommender => [recommender.type, recommender.baseConfidence]));
+const SUPPRESS_MIN_FEEDBACK = 5;
+const SUPPRESS_MAX_ACCEPTANCE = 0.2;
+
+export const getFeedbackStats = feedback => feedback.reduce((stats, entry) => {
+  const key = `${entry.type}:${entry.trigger}`;
+  const current = stats[key] || { type: entry.type, trigger: entry.trigger, accepted: 0, dismissed: 0 };
+  return { ...stats, [key]: { ...current, [entry.outcome]: current[entry.outcome] + 1 } };
+}, {});
+
+export const isTriggerSuppressed = ({ accepted, dismissed }) => accepted + dismissed >= SUPPRESS_MIN_FEEDBACK && accepted / (accepted + dismissed) < SUPPRESS_MAX_ACCEPTANCE;
+
+// Smoothed so a single accept or dismiss only nudges the base confidence.
+export const getAdjustedConfidence = (base, stats) => {
+  if (!stats) return base;
+  const acceptanceRate = (stats.accepted + 1) / (stats.accepted + stats.dismissed + 2);
+  return Math.min(1, base * (0.5 + acceptanceRate));
+};
+
+export const applyRecommendationFeedback = (recs, card, feedbackStats = {}, getBaseConfidence = type => REC_BASE_CONFIDENCE[type] ?? 0.5) => recs
+  .filter(rec => !(card.dismissedRecs || []).includes(rec.key))
+  .filter(rec => !feedbackStats[`${rec.type}:${rec.trigger}`] || !isTriggerSuppressed(feedbackStats[`${rec.type}:${rec.trigger}`]))
+  .map(rec => ({ ...rec, confidence: getAdjustedConfidence(getBaseConfidence(rec.type), feedbackStats[`${rec.type}:${rec.trigger}`]) }))
+  .sort((a, b) => b.confidence - a.confidence);
+
+// Board settings are keyed by recommender type, e.g. { duplicate: { enabled: false }, related: { limit: 5 } }.
+export const getRecommenderSettings = (recommender, boardSettings = {}) => ({
+  enabled: true,
+  ...Object.fromEntries(Object.entries(recommender.options).map(([key, option]) => [key, option.value])),
+  ...boardSettings[recommender.type]
+});
+
+export const createRecommendationEngine = ({ now = () => new Date(), recommenders = DEFAULT_RECOMMENDERS } = {}) => {
+  const registry = new Map(recommenders.map(recommender => [recommender.type, recommender]));
+  const getRecommendations = (card, { allCards = [], lists = [], labels = [], members = [], feedbackStats = {}, settings = {} } = {}) => {
+    let similarCards = null;
+    const context = { allCards, lists, labels, members, now: now(), getSimilarCards: () => similarCards ?? (similarCards = getSimilarCards(card, allCards)) };
+    const recs = [...registry.values()].flatMap(recommender => {
+      const recommenderSettings = getRecommenderSettings(recommender, settings);
+      return recommenderSettings.enabled ? recommender.recommend(card, context, recommenderSettings) : [];
+    });
+    return applyRecommendationFeedback(recs, card, feedbackStats, type => registry.get(type)?.baseConfidence ?? 0.5);
+  };
+  return {
+    register: recommender => { registry.set(recommender.type, recommender); },
+    unregister: type => { registry.delete(type); },
+    getRecommenders: () => [...registry.values()],
+    isEnabled: (type, settings = {}) => registry.has(type) && getRecommenderSettings(registry.get(type), settings).enabled,
+    now,
+    getRecommendations
+  };
+};
\ No newline at end of file
@@ -0,0 +1,464 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extractDueDate, stemWord, tokenize, getSimilarCards, getPrioritySignal, getFeedbackStats, isTriggerSuppressed, getAdjustedConfidence,
+  applyRecommendationFeedback, getRecommenderSettings, createRecommendationEngine, DEFAULT_RECOMMENDERS, REC_TYPE_LABELS, REC_BASE_CONFIDENCE,
+  dateRecommender, relatedRecommender
+} from './recommendationEngine';
+
+// Wednesday, 2026-03-11 at 10:00 local time.
+const NOW = new Date(2026, 2, 11, 10, 0);
+const clock = () => NOW;
+
+const LISTS = [{ id: 'todo', title: 'To Do' }, { id: 'doing', title: 'In Progress' }, { id: 'done', title: 'Done' }];
+const MEMBERS = [
+  { id: 'ana', label: 'Ana', role: 'owner' },
+  { id: 'ben', label: 'Ben', role: 'editor' },
+  { id: 'cy', label: 'Cy', role: 'viewer' }
+];
+const LABELS = [{ id: 'bug', name: 'Bug' }, { id: 'ui', name: 'UI' }];
+
+const card = (id, title, extra = {}) => ({ id, title, description: '', listId: 'todo', ...extra });
+
+const recommend = (target, context = {}, settings = {}) => createRecommendationEngine({ now: clock }).getRecommendations(target, { lists: LISTS, allCards: [target], ...context, settings });
+const ofType = (recs, type) => recs.filter(rec => rec.type === type);
+
+describe('extractDueDate', () => {
+  const due = text => extractDueDate(text, NOW)?.dueDate ?? null;
+
+  it('reads ISO dates and rejects past or impossible ones', () => {
+    expect(due('ship on 2026-04-02')).toBe('2026-04-02');
+    expect(due('ship on 2026-02-30')).toBeNull();
+    expect(due('was due 2026-01-05')).toBeNull();
+  });
+
+  it('reads month-day and day-month phrases, rolling past dates into next year', () => {
+    expect(due('review by March 20th')).toBe('2026-03-20');
+    expect(due('review by 4 of april')).toBe('2026-04-04');
+    expect(due('kickoff jan 5')).toBe('2027-01-05');
+    expect(due('kickoff Jan 5, 2028')).toBe('2028-01-05');
+  });
+
+  it('reads relative spans with digits and number words', () => {
+    expect(due('finish in 3 days')).toBe('2026-03-14');
+    expect(due('finish within two weeks')).toBe('2026-03-25');
+    expect(due('finish in a month')).toBe('2026-04-11');
+  });
+
+  it('reads zero-length spans as today', () => {
+    expect(due('finish in 0 days')).toBe('2026-03-11');
+    expect(due('0 days left')).toBe('2026-03-11');
+  });
+
+  it('clamps month spans to the end of shorter months', () => {
+    const jan31 = new Date(2026, 0, 31, 9, 0);
+    expect(extractDueDate('finish in 1 month', jan31).dueDate).toBe('2026-02-28');
+    expect(extractDueDate('plan next month', jan31).dueDate).toBe('2026-02-28');
+    expect(extractDueDate('finish in 3 months', new Date(2026, 4, 31)).dueDate).toBe('2026-08-31');
+  });
+
+  it('only treats a capitalised May as the month', () => {
+    expect(due('We may 20 users onboard')).toBeNull();
+    expect(due('launch on May 20')).toBe('2026-05-20');
+    expect(due('launch on 20 May')).toBe('2026-05-20');
+    expect(due('LAUNCH MAY 20')).toBe('2026-05-20');
+  });
+
+  it('reads end of week and end of month', () => {
+    expect(due('wrap up by end of week')).toBe('2026-03-13');
+    expect(due('wrap up by the end of the month')).toBe('2026-03-31');
+  });
+
+  it('reads weekdays, pushing "next" on the same weekday a full week out', () => {
+    expect(due('demo on friday')).toBe('2026-03-13');
+    expect(due('demo monday')).toBe('2026-03-16');
+    expect(due('demo wednesday')).toBe('2026-03-11');
+    expect(due('demo next wednesday')).toBe('2026-03-18');
+  });
+
+  it('reads next week, next month, tomorrow and urgent words', () => {
+    expect(due('plan next week')).toBe('2026-03-18');
+    expect(due('plan next month')).toBe('2026-04-11');
+    expect(due('call them tomorrow')).toBe('2026-03-12');
+    expect(due('fix this ASAP')).toBe('2026-03-11');
+    expect(due('send by eod')).toBe('2026-03-11');
+  });
+
+  it('prefers the most specific pattern and reports the matched phrase and kind', () => {
+    expect(extractDueDate('tomorrow or by 2026-05-01', NOW)).toMatchObject({ dueDate: '2026-05-01', phrase: '2026-05-01', kind: 'iso-date' });
+    expect(extractDueDate('Prep slides for Friday', NOW)).toMatchObject({ phrase: 'Friday', kind: 'weekday' });
+  });
+
+  it('skips negated mentions but keeps later ones', () => {
+    expect(due('not urgent')).toBeNull();
+    expect(due("don't ship tomorrow")).toBeNull();
+    expect(due('not tomorrow, but friday')).toBe('2026-03-13');
+  });
+
+  it('only skips negations right before the phrase or its verb', () => {
+    expect(due('This is not due until Friday')).toBe('2026-03-13');
+    expect(due('not until friday')).toBeNull();
+  });
+
+  it('ignores spans that lie in the past', () => {
+    expect(due('Regression shipped 3 days ago')).toBeNull();
+    expect(due('Raised 2 weeks earlier, fix in 3 days')).toBe('2026-03-14');
+  });
+
+  it('returns null when there is no date', () => {
+    expect(extractDueDate('Refactor the parser', NOW)).toBeNull();
+  });
+});
+
+describe('tokenize and stemWord', () => {
+  it('drops stop words, short words and punctuation', () => {
+    expect(tokenize('Fix the login: it is BROKEN!')).toEqual(['fix', 'login', 'broken']);
+  });
+
+  it('strips common suffixes and trailing e', () => {
+    expect(stemWord('running')).toBe('run');
+    expect(stemWord('stopped')).toBe('stop');
+    expect(stemWord('payments')).toBe('pay');
+    expect(stemWord('stories')).toBe('story');
+    expect(stemWord('update')).toBe('updat');
+    expect(stemWord('updated')).toBe('updat');
+    expect(stemWord('class')).toBe('class');
+    expect(stemWord('bus')).toBe('bus');
+  });
+
+  it('stems different forms of a word to the same token', () => {
+    expect(tokenize('deploying deployed deploys')).toEqual(['deploy', 'deploy', 'deploy']);
+  });
+});
+
+describe('getSimilarCards', () => {
+  const cards = [
+    card('a', 'Fix login button on mobile'),
+    card('b', 'Fix login button on mobile'),
+    card('c', 'Login page redesign'),
+    card('d', 'Quarterly budget review')
+  ];
+
+  it('scores identical text as 1 and unrelated text not at all', () => {
+    const similar = getSimilarCards(cards[0], cards);
+    expect(similar[0].card.id).toBe('b');
+    expect(similar[0].similarity).toBeCloseTo(1);
+    expect(similar.map(item => item.card.id)).not.toContain('d');
+    expect(similar.map(item => item.card.id)).not.toContain('a');
+  });
+
+  it('sorts by similarity and applies the minimum', () => {
+    const similar = getSimilarCards(cards[0], cards);
+    expect(similar.map(item => item.card.id)).toEqual(['b', 'c']);
+    expect(similar[1].similarity).toBeGreaterThan(0);
+    expect(similar[1].similarity).toBeLessThan(1);
+    expect(getSimilarCards(cards[0], cards, 0.99).map(item => item.card.id)).toEqual(['b']);
+  });
+
+  it('weights rare terms above terms every card shares', () => {
+    const board = [card('a', 'Release notes for mobile'), card('b', 'Release notes for web'), card('c', 'Release checklist for mobile'), card('d', 'Release dashboard')];
+    const [first, second] = getSimilarCards(board[0], board);
+    expect(first.card.id).toBe('b');
+    expect(second.card.id).toBe('c');
+  });
+
+  it('includes a card that is not yet on the board', () => {
+    const draft = card('new', 'Login page redesign');
+    expect(getSimilarCards(draft, cards)[0]).toMatchObject({ card: { id: 'c' } });
+  });
+});
+
+describe('date recommender', () => {
+  it('suggests a due date from the card text using the injected clock', () => {
+    const [rec] = ofType(recommend(card('a', 'Send invoices by friday')), 'date');
+    expect(rec).toMatchObject({ trigger: 'weekday', action: '2026-03-13', text: 'Suggest Due Date: 2026-03-13', key: 'date:by friday' });
+  });
+
+  it('stays quiet when the card already has a due date', () => {
+    expect(ofType(recommend(card('a', 'Send invoices by friday', { dueDate: '2026-03-20' })), 'date')).toEqual([]);
+  });
+
+  it('follows the clock it was given', () => {
+    const later = createRecommendationEngine({ now: () => new Date(2026, 2, 14) });
+    const [rec] = ofType(later.getRecommendations(card('a', 'Send invoices tomorrow'), { lists: LISTS }), 'date');
+    expect(rec.action).toBe('2026-03-15');
+  });
+});
+
+describe('move recommender', () => {
+  it('suggests starting work on "started" or "working on"', () => {
+    const [rec] = ofType(recommend(card('a', 'Started the migration')), 'move');
+    expect(rec).toMatchObject({ trigger: 'started-keywords', action: 'doing' });
+    expect(ofType(recommend(card('b', 'Working on docs')), 'move')[0].action).toBe('doing');
+  });
+
+  it('suggests finishing on "done" or "complete" from a middle list', () => {
+    const [rec] = ofType(recommend(card('a', 'Migration complete', { listId: 'doing' })), 'move');
+    expect(rec).toMatchObject({ trigger: 'complete-keywords', action: 'done', rationale: 'Keywords suggest task is complete.' });
+  });
+
+  it('ignores keywords in lists where they do not apply', () => {
+    expect(ofType(recommend(card('a', 'Migration done')), 'move')).toEqual([]);
+    expect(ofType(recommend(card('b', 'Started again', { listId: 'doing' })), 'move')).toEqual([]);
+    expect(ofType(recommend(card('c', 'Started again', { listId: 'done' })), 'move')).toEqual([]);
+  });
+
+  it('suggests starting once every blocker is done, ahead of keywords', () => {
+    const blocker = card('b', 'Schema', { listId: 'done' });
+    const blocked = card('a', 'Started the API', { links: [{ type: 'blocked_by', cardId: 'b' }] });
+    const recs = ofType(recommend(blocked, { allCards: [blocked, blocker] }), 'move');
+    expect(recs).toHaveLength(1);
+    expect(recs[0]).toMatchObject({ trigger: 'blockers-cleared', action: 'doing' });
+  });
+
+  it('warns about open blockers when suggesting completion', () => {
+    const blocker = card('b', 'Schema', { listId: 'doing' });
+    const blocked = card('a', 'API complete', { listId: 'doing', links: [{ type: 'blocked_by', cardId: 'b' }] });
+    const [rec] = ofType(recommend(blocked, { allCards: [blocked, blocker] }), 'move');
+    expect(rec.rationale).toBe('Keywords suggest task is complete. Still blocked by: Schema.');
+  });
+});
+
+describe('duplicate and related recommenders', () => {
+  const target = card('a', 'Fix login button on mobile');
+  const allCards = [target, card('b', 'Fix login button on mobile'), card('c', 'Login button redesign'), card('d', 'Mobile login timeout'), card('e', 'Budget review')];
+
+  it('flags near-identical cards as duplicates and the rest as related', () => {
+    const recs = recommend(target, { allCards });
+    expect(ofType(recs, 'duplicate').map(rec => rec.card.id)).toEqual(['b']);
+    const [related] = ofType(recs, 'related');
+    expect(related.cards.map(item => item.card.id)).toEqual(expect.arrayContaining(['c', 'd']));
+    expect(related.cards.map(item => item.card.id)).not.toContain('b');
+    expect(related.key).toBe('related:c,d');
+  });
+
+  it('honors board thresholds and limits', () => {
+    const recs = recommend(target, { allCards }, { duplicate: { threshold: 0.1, limit: 1 }, related: { limit: 1 } });
+    expect(ofType(recs, 'duplicate')).toHaveLength(1);
+    expect(ofType(recs, 'related')[0].cards).toHaveLength(1);
+  });
+
+  it('suggests nothing on a board with no similar cards', () => {
+    const recs = recommend(target, { allCards: [target, card('e', 'Budget review')] });
+    expect(ofType(recs, 'duplicate')).toEqual([]);
+    expect(ofType(recs, 'related')).toEqual([]);
+  });
+});
+
+describe('label recommender', () => {
+  it('suggests labels that most similar cards carry', () => {
+    const target = card('a', 'Login button broken on mobile');
+    const allCards = [target, card('b', 'Login button broken on desktop', { labelIds: ['bug'] }), card('c', 'Mobile login button misaligned', { labelIds: ['bug', 'ui'] }), card('d', 'Budget review', { labelIds: ['ui'] })];
+    const recs = ofType(recommend(target, { allCards, labels: LABELS }), 'label');
+    expect(recs.map(rec => rec.action)).toContain('bug');
+    expect(recs.find(rec => rec.action === 'bug').text).toBe('Add Label: Bug');
+  });
+
+  it('skips labels the card already has', () => {
+    const target = card('a', 'Login button broken on mobile', { labelIds: ['bug'] });
+    const allCards = [target, card('b', 'Login button broken on desktop', { labelIds: ['bug'] })];
+    expect(ofType(recommend(target, { allCards, labels: LABELS }), 'label')).toEqual([]);
+  });
+
+  it('requires the configured share of votes', () => {
+    const target = card('a', 'Login button broken on mobile');
+    const allCards = [target, card('b', 'Login button broken on desktop', { labelIds: ['bug'] }), card('c', 'Login button broken on tablet', { labelIds: ['ui'] })];
+    expect(ofType(recommend(target, { allCards, labels: LABELS }, { label: { voteThreshold: 0.9 } }), 'label')).toEqual([]);
+  });
+});
+
+describe('priority recommender', () => {
+  it('reads urgency keywords', () => {
+    expect(getPrioritySignal(card('a', 'Production outage'), NOW, { urgentDays: 1, highDays: 3, mediumDays: 7 })).toMatchObject({ priority: 'urgent', trigger: 'urgency-words' });
+    expect(ofType(recommend(card('a', 'Security review')), 'priority')[0]).toMatchObject({ action: 'high', text: 'Set Priority: High' });
+    expect(ofType(recommend(card('a', 'Dark mode, nice to have')), 'priority')[0].action).toBe('low');
+  });
+
+  it('skips negated urgency keywords', () => {
+    const settings = { urgentDays: 1, highDays: 3, mediumDays: 7 };
+    expect(getPrioritySignal(card('a', 'Not urgent: tidy the docs'), NOW, settings)).toBeNull();
+    expect(getPrioritySignal(card('a', 'Not urgent, but a security fix'), NOW, settings)).toMatchObject({ priority: 'high', rationale: 'The card mentions "security".' });
+    expect(getPrioritySignal(card('a', 'No outage yet, still critical'), NOW, settings)).toMatchObject({ priority: 'urgent', rationale: 'The card mentions "critical".' });
+  });
+
+  it('scales with how soon the card is due', () => {
+    const priorityFor = dueDate => ofType(recommend(card('a', 'Report', { dueDate })), 'priority')[0]?.action ?? null;
+    expect(priorityFor('2026-03-12')).toBe('urgent');
+    expect(priorityFor('2026-03-14')).toBe('high');
+    expect(priorityFor('2026-03-18')).toBe('medium');
+    expect(priorityFor('2026-03-30')).toBeNull();
+  });
+
+  it('uses the board day thresholds', () => {
+    const [rec] = ofType(recommend(card('a', 'Report', { dueDate: '2026-03-14' }), {}, { priority: { urgentDays: 3 } }), 'priority');
+    expect(rec.action).toBe('urgent');
+  });
+
+  it('never lowers an existing priority or touches done cards', () => {
+    expect(ofType(recommend(card('a', 'Production outage', { priority: 'urgent' })), 'priority')).toEqual([]);
+    expect(ofType(recommend(card('a', 'Minor typo', { priority: 'medium' })), 'priority')).toEqual([]);
+    expect(ofType(recommend(card('a', 'Production outage', { listId: 'done' })), 'priority')).toEqual([]);
+  });
+});
+
+describe('assignee recommender', () => {
+  const target = card('a', 'Fix checkout payment error');
+  const history = [
+    card('b', 'Fix checkout payment timeout', { listId: 'done', assigneeIds: ['ana'] }),
+    card('c', 'Checkout payment error on refunds', { listId: 'done', assigneeIds: ['ben'] })
+  ];
+
+  it('suggests the editor with the most similar experience', () => {
+    const [rec] = ofType(recommend(target, { allCards: [target, ...history], members: MEMBERS }), 'assignee');
+    expect(['ana', 'ben']).toContain(rec.action);
+    expect(rec.text).toBe(`Assign ${MEMBERS.find(m => m.id === rec.action).label}`);
+  });
+
+  it('favors the member with fewer open cards', () => {
+    const busy = Array.from({ length: 6 }, (_, i) => card(`busy${i}`, `Unrelated chore ${i}`, { assigneeIds: ['ana'] }));
+    const even = [card('b', 'Checkout payment error', { listId: 'done', assigneeIds: ['ana'] }), card('c', 'Checkout payment error', { listId: 'done', assigneeIds: ['ben'] })];
+    const [rec] = ofType(recommend(target, { allCards: [target, ...even, ...busy], members: MEMBERS }), 'assignee');
+    expect(rec).toMatchObject({ action: 'ben' });
+    const experienced = [...even, card('d', 'Checkout payment error', { listId: 'done', assigneeIds: ['ana'] })];
+    expect(ofType(recommend(target, { allCards: [target, ...experienced, ...busy], members: MEMBERS }, { assignee: { workloadPenalty: 0.5 } }), 'assignee')[0].action).toBe('ben');
+    const [unpenalized] = ofType(recommend(target, { allCards: [target, ...experienced, ...busy], members: MEMBERS }, { assignee: { workloadPenalty: 0 } }), 'assignee');
+    expect(unpenalized).toMatchObject({ action: 'ana', rationale: 'Handled 2 similar card(s), such as "Checkout payment error", and has 6 open card(s).' });
+  });
+
+  it('skips viewers, assigned cards and cards without similar history', () => {
+    const viewerOnly = [card('b', 'Fix checkout payment timeout', { listId: 'done', assigneeIds: ['cy'] })];
+    expect(ofType(recommend(target, { allCards: [target, ...viewerOnly], members: MEMBERS }), 'assignee')).toEqual([]);
+    const assigned = { ...target, assigneeIds: ['ben'] };
+    expect(ofType(recommend(assigned, { allCards: [assigned, ...history], members: MEMBERS }), 'assignee')).toEqual([]);
+    expect(ofType(recommend(target, { allCards: [target], members: MEMBERS }), 'assignee')).toEqual([]);
+  });
+});
+
+describe('split recommender', () => {
+  it('suggests tracking numbered and bulleted steps', () => {
+    const numbered = ofType(recommend(card('a', 'Release', { description: 'Steps:\n1. Tag\n2) Build\n3. Publish' })), 'split')[0];
+    expect(numbered).toMatchObject({ trigger: 'numbered-steps', text: 'Track 3 steps' });
+    expect(numbered.steps.map(step => step.text)).toEqual(['Tag', 'Build', 'Publish']);
+    const bulleted = ofType(recommend(card('b', 'Release', { description: '- [x] Tag\n* Build' })), 'split')[0];
+    expect(bulleted.trigger).toBe('bulleted-steps');
+    expect(bulleted.steps[0].done).toBe(true);
+  });
+
+  it('ignores steps already on the checklist and respects the minimum', () => {
+    const tracked = card('a', 'Release', { description: '1. Tag\n2. Build', checklist: [{ text: 'tag', done: false }] });
+    expect(ofType(recommend(tracked), 'split')).toEqual([]);
+    expect(ofType(recommend(card('b', 'Release', { description: '1. Tag\n2. Build' }), {}, { split: { minSteps: 3 } }), 'split')).toEqual([]);
+  });
+});
+
+describe('feedback', () => {
+  const feedback = [
+    ...Array.from({ length: 5 }, () => ({ type: 'move', trigger: 'started-keywords', outcome: 'dismissed' })),
+    { type: 'date', trigger: 'weekday', outcome: 'accepted' },
+    { type: 'date', trigger: 'weekday', outcome: 'accepted' },
+    { type: 'date', trigger: 'weekday', outcome: 'dismissed' }
+  ];
+  const stats = getFeedbackStats(feedback);
+
+  it('tallies outcomes per type and trigger', () => {
+    expect(stats['move:started-keywords']).toEqual({ type: 'move', trigger: 'started-keywords', accepted: 0, dismissed: 5 });
+    expect(stats['date:weekday']).toMatchObject({ accepted: 2, dismissed: 1 });
+  });
+
+  it('suppresses triggers only after enough mostly-dismissed feedback', () => {
+    expect(isTriggerSuppressed(stats['move:started-keywords'])).toBe(true);
+    expect(isTriggerSuppressed({ accepted: 0, dismissed: 4 })).toBe(false);
+    expect(isTriggerSuppressed({ accepted: 1, dismissed: 4 })).toBe(false);
+  });
+
+  it('nudges confidence toward the acceptance rate', () => {
+    expect(getAdjustedConfidence(0.7, undefined)).toBe(0.7);
+    expect(getAdjustedConfidence(0.7, { accepted: 2, dismissed: 1 })).toBeCloseTo(0.7 * (0.5 + 3 / 5));
+    expect(getAdjustedConfidence(0.9, { accepted: 50, dismissed: 0 })).toBe(1);
+  });
+
+  it('filters suppressed triggers and dismissed keys, then sorts by confidence', () => {
+    const target = card('a', 'Started the deploy, due friday', { dismissedRecs: [] });
+    const recs = recommend(target, { feedbackStats: stats });
+    expect(ofType(recs, 'move')).toEqual([]);
+    expect(recs[0].type).toBe('date');
+    const dismissed = recommend({ ...target, dismissedRecs: [recs[0].key] });
+    expect(ofType(dismissed, 'date')).toEqual([]);
+  });
+
+  it('uses the default base confidence for bare recommendations', () => {
+    const [rec] = applyRecommendationFeedback([{ type: 'duplicate', trigger: 'high-similarity', key: 'x' }], card('a', 'A'));
+    expect(rec.confidence).toBe(REC_BASE_CONFIDENCE.duplicate);
+    expect(applyRecommendationFeedback([{ type: 'custom', trigger: 't', key: 'y' }], card('a', 'A'))[0].confidence).toBe(0.5);
+  });
+});
+
+describe('createRecommendationEngine', () => {
+  it('registers every built-in recommender with labels and base confidence', () => {
+    const engine = createRecommendationEngine({ now: clock });
+    expect(engine.getRecommenders().map(r => r.type)).toEqual(['date', 'move', 'duplicate', 'label', 'priority', 'assignee', 'split', 'related']);
+    expect(engine.getRecommenders()).toEqual(DEFAULT_RECOMMENDERS);
+    expect(Object.keys(REC_TYPE_LABELS)).toHaveLength(DEFAULT_RECOMMENDERS.length);
+  });
+
+  it('merges board settings over option defaults', () => {
+    expect(getRecommenderSettings(relatedRecommender)).toEqual({ enabled: true, threshold: 0.2, maxSimilarity: 0.8, limit: 3 });
+    expect(getRecommenderSettings(relatedRecommender, { related: { limit: 5 } })).toEqual({ enabled: true, threshold: 0.2, maxSimilarity: 0.8, limit: 5 });
+    expect(getRecommenderSettings(dateRecommender, { date: { enabled: false } }).enabled).toBe(false);
+  });
+
+  it('skips recommenders a board disabled', () => {
+    const target = card('a', 'Started the report, due friday');
+    expect(ofType(recommend(target), 'date')).toHaveLength(1);
+    const recs = recommend(target, {}, { date: { enabled: false } });
+    expect(ofType(recs, 'date')).toEqual([]);
+    expect(ofType(recs, 'move')).toHaveLength(1);
+  });
+
+  it('exposes its clock and which recommenders a board enabled', () => {
+    const engine = createRecommendationEngine({ now: clock });
+    expect(engine.now()).toBe(NOW);
+    expect(engine.isEnabled('date')).toBe(true);
+    expect(engine.isEnabled('date', { date: { enabled: false } })).toBe(false);
+    expect(engine.isEnabled('move', { date: { enabled: false } })).toBe(true);
+    expect(engine.isEnabled('estimate')).toBe(false);
+  });
+
+  it('runs plugins registered on one engine without affecting others', () => {
+    const engine = createRecommendationEngine({ now: clock });
+    const calls = [];
+    engine.register({
+      type: 'estimate', label: 'Estimates', baseConfidence: 0.9,
+      options: { maxWords: { label: 'Words', value: 3, min: 1, max: 10, step: 1 } },
+      recommend: (target, context, settings) => {
+        calls.push({ now: context.now, settings });
+        return target.title.split(' ').length <= settings.maxWords ? [{ type: 'estimate', trigger: 'short-title', key: 'estimate:small', text: 'Estimate: small' }] : [];
+      }
+    });
+    const recs = engine.getRecommendations(card('a', 'Tiny fix'), { lists: LISTS, settings: { estimate: { maxWords: 2 } } });
+    expect(recs[0]).toMatchObject({ type: 'estimate', confidence: 0.9 });
+    expect(calls[0]).toEqual({ now: NOW, settings: { enabled: true, maxWords: 2 } });
+    expect(ofType(createRecommendationEngine({ now: clock }).getRecommendations(card('a', 'Tiny fix'), { lists: LISTS }), 'estimate')).toEqual([]);
+    engine.unregister('estimate');
+    expect(engine.getRecommenders().map(r => r.type)).not.toContain('estimate');
+  });
+
+  it('replaces a built-in recommender registered under the same type', () => {
+    const engine = createRecommendationEngine({ now: clock });
+    engine.register({ ...dateRecommender, recommend: () => [] });
+    expect(ofType(engine.getRecommendations(card('a', 'Due friday'), { lists: LISTS }), 'date')).toEqual([]);
+    expect(engine.getRecommenders()).toHaveLength(DEFAULT_RECOMMENDERS.length);
+  });
+
+  it('computes similar cards once per call and only when a recommender asks', () => {
+    let calls = 0;
+    const engine = createRecommendationEngine({
+      now: clock,
+      recommenders: [
+        { type: 'one', label: 'One', baseConfidence: 0.5, options: {}, recommend: (target, { getSimilarCards }) => { calls += 1; getSimilarCards(); return []; } },
+        { type: 'two', label: 'Two', baseConfidence: 0.5, options: {}, recommend: (target, { getSimilarCards }) => { expect(getSimilarCards()).toBe(getSimilarCards()); return []; } }
+      ]
+    });
+    expect(engine.getRecommendations(card('a', 'Alpha'), { allCards: [card('b', 'Alpha')] })).toEqual([]);
+    expect(calls).toBe(1);
+  });
+});
\ No newline at end of file